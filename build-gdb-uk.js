@@ -1,64 +1,139 @@
-/* GDB UK Golf Data Builder
-Static site friendly builder that outputs JSON files for UK golf courses and driving ranges.
+/* GDB Golf Data Builder
+Static site friendly builder that outputs JSON files for golf courses and driving ranges,
+one country per run: the UK by default, or any country in gdb-countries.js.
 
 Run:
   node build-gdb-uk.js
-
-Outputs in ./dist:
+  node build-gdb-uk.js --country pt                       (Portugal: gdb_courses_pt.json, ...)
+  node build-gdb-uk.js --from purity                      (re-run purity, overrides and emit from cache)
+  node build-gdb-uk.js --to geocode                       (stop after geocoding)
+  node build-gdb-uk.js --save-overpass raw.json          (keep the OSM snapshot used)
+  node build-gdb-uk.js --overpass-file raw.json --nominatim-cache-only
+
+Options:
+  --country <code>           country to build: uk (default), pt or es; see gdb-countries.js
+  --overpass-file <path>     read the Overpass response from a saved snapshot
+  --overpass-url <url>       Overpass endpoint, repeatable (e.g. a local stand-in server)
+  --save-overpass <path>     write the Overpass response to disk before building
+  --holes-file <path>        read golf=hole features from a saved snapshot (scorecards)
+  --save-holes <path>        write the golf=hole response to disk
+  --nominatim-url <url>      Nominatim root used for reverse geocoding, e.g. a local server
+  --nominatim-cache <path>   reverse geocode cache (default ./nominatim_cache.json, shared by countries)
+  --nominatim-cache-only     never call Nominatim, cache misses keep OSM address tags only
+  --postcode-centroids <path>  reverse geocode offline from a postcode centroid CSV instead of
+                             Nominatim, see postcodeCentroidSource() in gdb-sources.js
+  --geocode-rate <n>         requests per second (default 1 on the public server, 10 on any other)
+  --geocode-concurrency <n>  requests in flight (default 1 on the public server, 4 on any other)
+  --geocode-retries <n>      retries after a 429, 5xx or network error (default 4)
+  --geocode-max-age <days>   fetch cached answers older than this again
+  --geocode-invalidate <lat,lng[,km]>  drop cached answers at a point, or within km of it;
+                             repeatable
+  --overrides <path>         manual fixes (default ./overrides.json, ./overrides_<country>.json elsewhere)
+  --id-registry <path>       OSM element to course ID registry (default ./gdb_id_registry.json,
+                             ./gdb_id_registry_<country>.json elsewhere)
+  --seed-ids <path>          adopt IDs from an earlier build before minting new ones
+  --previous <path>          build to diff against (default <out-dir>/gdb_courses_<country>.json)
+  --out-dir <path>           output directory (default ./dist), can hold several countries
+  --generated-utc <iso>      fixed generated_utc stamp
+  --strict                   fail the build if the output breaks the country's schema (see countrySchema())
+  --from <stage>             start at a stage, reading the previous stage from the cache
+  --to <stage>               stop after a stage
+  --cache-dir <path>         stage outputs (default ./build_cache, ./build_cache/<country> elsewhere)
+  --no-cache                 do not write stage outputs
+  --report-dir <path>        purity reports (default ./enrichment/reports, with /<country> elsewhere)
+  --tile-deg <deg>           size of the map tiles in degrees (default 0.5)
+  --classifier-rules <path>  tag rules (default ./gdb_classifier_rules.json), see gdb-classifier.js
+
+Stages:
+  fetch -> dedupe -> classify -> venues -> scorecard -> geocode -> purity -> overrides -> emit
+  Each stage's output is cached as <cache-dir>/NN_<stage>.json.
+  geocode only asks about courses whose OSM tags lack a town, county or postcode, through the
+  rate limited queue in gdb-geocode.js. Answers are checkpointed as they arrive, so a run
+  stopped part way picks up where it was; failures are listed in <report-dir>/geocode_report.json
+  and asked again next run.
+  venues folds sibling course features into one multi-course venue, see groupVenues().
+  scorecard fetches golf=hole ways and builds hole-by-hole cards per layout, see
+  gdb-scorecard.js. Builds from --overpass-file skip it unless --holes-file is given.
+  purity runs the rules from purify-gdb-courses-uk.js on courses; driving ranges pass through.
+  It also writes purity_candidates.json (full records to review) for review-courses.html.
+
+Outputs in ./dist, named for the UK here; other countries swap uk for their code:
   - gdb_courses_uk.json (courses only)
-  - gdb_driving_ranges_uk.json (driving ranges only, minimal fields)
-  - gdb_courses_uk.england.json
-  - gdb_courses_uk.scotland.json
-  - gdb_courses_uk.wales.json
-  - gdb_courses_uk.northern_ireland.json
-  - gdb_courses_uk_index.json (counts, metadata)
+  - gdb_driving_ranges_uk.json (driving ranges only, minimal fields plus range: bays,
+    floodlit, covered and tracking tech, see computeRangeFacts())
+  - gdb_courses_uk.<region>.json, one per region of the country (england, scotland, wales
+    and northern_ireland; algarve, lisbon, ... for Portugal; andalusia, ... for Spain)
+  - gdb_courses_uk_index.json (counts, metadata, summary of changes since the last build)
+  - gdb_courses_uk_changelog.json (added, removed, merged, renamed and changed courses)
+  - gdb_id_aliases_uk.json (retired ID -> current ID, for saved lists and old links)
+  - gdb_course_geometry_uk.json (simplified course and range outlines, GeoJSON keyed by ID)
+  - gdb_search_index_uk.json (text index for the course search box, see gdb-search-index.js)
+  - gdb_tiles_uk.json and tiles/ (summary index and spatial tiles with content-hashed names,
+    see gdb-tiles.js; tiles no longer listed are deleted)
+  - gdb_overrides_report.json (applied, stale, redirected and invalid overrides;
+    gdb_overrides_report_<country>.json elsewhere)
+  - gdb_countries.json (the countries built into this directory and their files, for gdb-data.js)
 
 Notes:
 - Uses Overpass for OSM POI fetch
-- Uses Nominatim reverse geocode to fill city, county, postcode
-- Adds GDB opinion tags via deterministic heuristics
-- Use overrides.json for manual fixes and additions
+- Uses Nominatim reverse geocode (or an offline postcode centroid file) to fill city, county, postcode
+- Adds GDB opinion tags through the declarative rules in gdb_classifier_rules.json; each
+  course's classification records the rule and confidence behind every tag, and low
+  confidence tags are flagged unverified. score-gdb-classifier.js scores the rules against a
+  hand-labelled sample
+- Green fees from OSM fee tags become a structured green_fees model (rates by days, season,
+  twilight, society and 9 holes), see gdb-green-fees.js; price bands come from it
+- A record's nation is the country's first-level region (England, Algarve, Andalusia), and
+  its id starts with the country code
+- Use overrides.json for manual fixes, deletions, merges, additions and pinned fields;
+  see gdb-overrides.js for the format
+- Course IDs come from gdb_id_registry.json, keyed by OSM element, so they survive name
+  and address changes; see gdb-id-registry.js
+- Overpass is asked for full geometry; outlines are simplified (see gdb-geometry.js), used
+  to dedupe by overlap, and kept out of the main JSON, which only gains geo.bbox
+- Builds from a snapshot stamp generated_utc with the snapshot's OSM base timestamp,
+  so the same snapshot and cache give byte-identical output
 */
 
 import fs from "fs";
 import path from "path";
-
-const OUT_DIR = path.resolve("./dist");
-if (!fs.existsSync(OUT_DIR)) fs.mkdirSync(OUT_DIR, { recursive: true });
-
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
-
-const OVERPASS_ENDPOINTS = [
-  "https://overpass-api.de/api/interpreter",
-  "https://overpass.kumi.systems/api/interpreter",
-  "https://overpass.openstreetmap.ru/api/interpreter",
-];
-
-async function overpass(query) {
-  let lastErr = null;
-  for (const ep of OVERPASS_ENDPOINTS) {
-    try {
-      const res = await fetch(ep, {
-        method: "POST",
-        headers: { "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8" },
-        body: "data=" + encodeURIComponent(query),
-      });
-      if (res.status === 429) { lastErr = new Error("Rate limited"); continue; }
-      if (!res.ok) { lastErr = new Error("Overpass " + res.status); continue; }
-      return await res.json();
-    } catch (e) {
-      lastErr = e;
-    }
-  }
-  throw lastErr || new Error("Overpass failed");
-}
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import {
+  DEFAULT_NOMINATIM_URL,
+  DEFAULT_OVERPASS_ENDPOINTS,
+  fileOverpassSource,
+  httpOverpassSource,
+  nominatimSource,
+  pointKey,
+  postcodeCentroidSource,
+  saveOverpassSnapshot,
+} from "./gdb-sources.js";
+import { LOCAL_RATE, PUBLIC_RATE, geocodeAll } from "./gdb-geocode.js";
+import { assertUniqueIds, loadIdRegistry } from "./gdb-id-registry.js";
+import { buildChangelog } from "./gdb-changelog.js";
+import { countrySchema, fieldReport, printFieldReport, validateDataset } from "./gdb-schema.js";
+import { applyOverrideSet, pinnedById } from "./gdb-overrides.js";
+import { runPipeline } from "./gdb-pipeline.js";
+import { bboxOf, elementGeometry, geometryFeatureCollection, mergeGeometries, overlapRatio, pointInGeometry } from "./gdb-geometry.js";
+import { assignHoles, buildScorecard, holeFeature } from "./gdb-scorecard.js";
+import { buildSearchIndex } from "./gdb-search-index.js";
+import { TILE_DEG, buildTiles } from "./gdb-tiles.js";
+import { COUNTRIES, countryConfig, dataFile, foldAccents, postcodeLooksValid, regionFromAddress } from "./gdb-countries.js";
+import { classifyAll, classifyField, loadRules, manualClassification } from "./gdb-classifier.js";
+import { feeBand, normalizeGreenFees, parseGreenFees } from "./gdb-green-fees.js";
+import purity from "./purify-gdb-courses-uk.js";
+
+// Words that do not tell two courses apart, also dropped by the page's text search
+const NAME_STOPWORDS = ["the", "golf", "club", "course", "links", "park"];
+const STOPWORD_RE = new RegExp(`\\b(${NAME_STOPWORDS.join("|")})\\b`, "g");
 
 function normStr(s) {
-  return String(s || "")
+  return foldAccents(s)
     .toLowerCase()
     .replace(/&/g, " and ")
     .replace(/[^a-z0-9 ]+/g, " ")
-    .replace(/\b(the|golf|club|course|links|park)\b/g, " ")
+    .replace(STOPWORD_RE, " ")
     .replace(/\s+/g, " ")
     .trim();
 }
@@ -87,6 +162,15 @@ function prefScore(it) {
   return base + holesB + parB + webB + phoneB + addrB;
 }
 
+// Two same-name features are one site when their outlines overlap, or one's point lies in
+// the other's outline. Without outlines (nodes, old snapshots) fall back to distance.
+function sameSite(a, b) {
+  if (a.outline && b.outline) return overlapRatio(a.outline, b.outline) >= 0.3;
+  if (a.outline && pointInGeometry([b.lng, b.lat], a.outline)) return true;
+  if (b.outline && pointInGeometry([a.lng, a.lat], b.outline)) return true;
+  return havKm(a.lat, a.lng, b.lat, b.lng) < 0.75;
+}
+
 function dedupe(items) {
   const groups = new Map();
   for (const it of items) {
@@ -96,20 +180,24 @@ function dedupe(items) {
     groups.set(k, arr);
   }
 
+  // Each kept item lists the OSM refs folded into it (mergedOsm) so their IDs can redirect
   const out = [];
   for (const arr of groups.values()) {
     arr.sort((a, b) => prefScore(b) - prefScore(a));
     const kept = [];
     for (const it of arr) {
-      const near = kept.some((k) => havKm(k.lat, k.lng, it.lat, it.lng) < 0.75);
-      if (!near) kept.push(it);
+      const near = kept.some((k) => sameSite(k, it));
+      if (!near) kept.push({ ...it, mergedOsm: [] });
       else {
         let bestIdx = -1, bestDist = 999;
         for (let i = 0; i < kept.length; i++) {
           const d = havKm(kept[i].lat, kept[i].lng, it.lat, it.lng);
           if (d < bestDist) { bestDist = d; bestIdx = i; }
         }
-        if (bestIdx >= 0 && prefScore(it) > prefScore(kept[bestIdx]) + 2) kept[bestIdx] = it;
+        if (bestIdx < 0) continue;
+        const prev = kept[bestIdx];
+        if (prefScore(it) > prefScore(prev) + 2) kept[bestIdx] = { ...it, mergedOsm: [...prev.mergedOsm, prev.osm] };
+        else prev.mergedOsm.push(it.osm);
       }
     }
     out.push(...kept);
@@ -117,6 +205,130 @@ function dedupe(items) {
   return out;
 }
 
+/* Multi-course venues.
+   A 36-hole club or a 27-hole Red/Blue/Yellow setup is mapped either as one feature with
+   "golf:par=72 + 73" style tags, or as sibling features ("Wentworth Club - West Course").
+   Both end up as one record whose holes[] lists each layout with its own holes, par and
+   length. Sibling features fold into the venue through mergedOsm, so their IDs redirect. */
+
+const splitPlus = (v) => String(v || "").split(/\s*[+\/,;]\s*/).map((x) => x.trim()).filter(Boolean);
+
+function parseNumber(v) {
+  const m = String(v || "").match(/\d+(?:\.\d+)?/);
+  return m ? Number(m[0]) : null;
+}
+
+// Metres from a length tag, yards when the value says so
+function parseLengthM(v) {
+  const n = parseNumber(v);
+  if (!n) return null;
+  return Math.round(/y(ar)?ds?\b|yd/i.test(String(v)) ? n * 0.9144 : n);
+}
+
+// Holes for a loop known only by its par: 9-hole loops are par 27 to 37, full courses 54 up
+const holesFromPar = (par) => (par ? (par >= 45 ? 18 : 9) : null);
+
+// Layouts packed into one feature's tags ("golf:par=72 + 73"), null for a single layout
+function layoutsFromTags(tags) {
+  const pars = splitPlus(pickTag(tags, ["golf:par", "par"])).map(parseNumber);
+  const holes = splitPlus(pickTag(tags, ["golf:holes", "holes", "golf_holes"])).map(parseNumber);
+  const n = Math.max(pars.length, holes.length);
+  if (n < 2) return null;
+  return Array.from({ length: n }, (_, i) => ({
+    label: "Course " + (i + 1),
+    count: (holes.length === n ? holes[i] : null) || holesFromPar(pars[i]),
+    par: pars.length === n ? pars[i] : null,
+    lengthM: null,
+  }));
+}
+
+// "Wentworth Club - West Course" -> { venue: "Wentworth Club", layout: "West Course" }
+function venueParts(name) {
+  const s = String(name || "").trim();
+  const m =
+    s.match(/^(.+?)\s+[-–:|]\s+(.+)$/) ||
+    s.match(/^(.+?)\s*\(([^)]+)\)$/) ||
+    s.match(/^(.+?)\s+((?:[A-Za-z']+\s+){1,2}Course)$/);
+  if (!m || /\bgolf\b/i.test(m[2])) return { venue: s, layout: "" };
+  return { venue: m[1].trim(), layout: m[2].trim() };
+}
+
+const looksLikeLayout = (name) => /\bcourse$/i.test(name) && !/\bgolf\b/i.test(name);
+
+function layoutOf(it) {
+  if (it.layouts) return it.layouts;
+  const par = parseNumber(it.par);
+  const count = it.holes || holesFromPar(par);
+  return [{ label: venueParts(it.name).layout || it.name, count, par, lengthM: it.lengthM || null, osm: it.osm, outline: it.outline }];
+}
+
+function mergeVenue(members) {
+  const score = (it) => (venueParts(it.name).layout ? 0 : 100) + prefScore(it);
+  const [parent, ...rest] = [...members].sort((a, b) => score(b) - score(a));
+  const parentIsClub = !venueParts(parent.name).layout;
+
+  // A club feature's own "72 + 73" tags only stand in when its courses are not mapped
+  const childLayouts = rest.flatMap(layoutOf).filter((l) => l.count);
+  const own = parentIsClub ? (childLayouts.length ? [] : parent.layouts || []) : layoutOf(parent);
+  const layouts = [...own, ...childLayouts]
+    .filter((l) => l.count)
+    .sort((a, b) => b.count - a.count || (b.par || 0) - (a.par || 0) || a.label.localeCompare(b.label));
+  const outlines = (parent.outline ? [parent] : members).map((m) => m.outline).filter(Boolean);
+  const outline = mergeGeometries(outlines);
+  const box = !parentIsClub && outline ? bboxOf(outline) : null;
+
+  return {
+    ...parent,
+    name: parentIsClub ? parent.name : venueParts(parent.name).venue,
+    lat: box ? (box[1] + box[3]) / 2 : parent.lat,
+    lng: box ? (box[0] + box[2]) / 2 : parent.lng,
+    website: parent.website || rest.find((m) => m.website)?.website || "",
+    phone: parent.phone || rest.find((m) => m.phone)?.phone || "",
+    holes: layouts.reduce((n, l) => n + l.count, 0) || parent.holes,
+    par: layouts[0]?.par ? String(layouts[0].par) : parent.par,
+    layouts: layouts.length > 1 ? layouts : null,
+    outline,
+    mergedOsm: [...(parent.mergedOsm || []), ...rest.flatMap((m) => [m.osm, ...(m.mergedOsm || [])])],
+  };
+}
+
+/**
+ * Groups sibling course features into venues: same venue name stem within 2 km (or inside
+ * each other's outline), plus bare "Valley Course" style features inside a course outline.
+ */
+function groupVenues(items) {
+  const courses = items.filter((it) => it.kind === "course");
+  const clusters = [];
+  const near = (a, b) =>
+    (a.outline && pointInGeometry([b.lng, b.lat], a.outline)) ||
+    (b.outline && pointInGeometry([a.lng, a.lat], b.outline)) ||
+    havKm(a.lat, a.lng, b.lat, b.lng) < 2;
+
+  for (const it of courses) {
+    const key = normStr(venueParts(it.name).venue);
+    const home = key && clusters.find((c) => c.key === key && c.members.some((m) => near(m, it)));
+    if (home) home.members.push(it);
+    else clusters.push({ key, members: [it] });
+  }
+
+  // A lone "Valley Course" inside another course's outline is one of its layouts
+  for (const c of clusters) {
+    if (c.members.length !== 1 || !looksLikeLayout(c.members[0].name)) continue;
+    const it = c.members[0];
+    const host = clusters.find((h) => h !== c && h.members.length && h.members.some((m) => m.outline && pointInGeometry([it.lng, it.lat], m.outline)));
+    if (host) { host.members.push(it); c.members = []; }
+  }
+
+  const venues = new Map();
+  for (const c of clusters) {
+    if (!c.members.length) continue;
+    const venue = c.members.length > 1 ? mergeVenue(c.members) : c.members[0];
+    venues.set(c.members[0], venue);
+    for (const m of c.members.slice(1)) venues.set(m, null);
+  }
+  return items.map((it) => (venues.has(it) ? venues.get(it) : it)).filter(Boolean);
+}
+
 function pickTag(tags, keys) {
   for (const k of keys) {
     const v = tags?.[k];
@@ -144,6 +356,38 @@ function computeFacilities(tags) {
   return [...fac];
 }
 
+// What a driving range offers, from its tags: null where the tags do not say.
+// Bays come from a count tag or "24 bays" in the text. A tracking brand's own tag
+// (golf:toptracer=yes, or =no) decides whether the range has it, the text is the fallback
+const RANGE_TECH = {
+  toptracer: { tags: ["golf:toptracer", "toptracer"], text: /top ?tracer/ },
+  trackman: { tags: ["golf:trackman", "trackman"], text: /track ?man/ },
+  inrange: { tags: ["golf:inrange", "inrange"], text: /\binrange\b/ },
+};
+
+function computeRangeFacts(tags) {
+  const t = tags || {};
+  const text = ["name", "description", "brand", "operator", "website", "golf:driving_range:technology", "driving_range:technology"]
+    .map((k) => t[k] || "").join(" ").toLowerCase();
+  const yesNo = (v) => (/^(yes|partial|24\/7|automatic)$/i.test(v || "") ? true : /^no$/i.test(v || "") ? false : null);
+
+  const counted = parseNumber(pickTag(t, ["golf:bays", "bays", "driving_range:bays", "capacity:bays", "capacity"]));
+  const written = text.match(/\b(\d{1,3})[ -](?:[a-z]+ )?bays?\b/);
+  const bays = counted || (written ? Number(written[1]) : null);
+
+  let floodlit = yesNo(pickTag(t, ["floodlit", "lit"]));
+  if (floodlit == null && /floodlit/.test(text)) floodlit = true;
+  let covered = yesNo(pickTag(t, ["covered", "golf:driving_range:covered"]));
+  if (covered == null && (t.building || /covered bays?|undercover/.test(text))) covered = true;
+
+  return {
+    bays: bays && bays < 500 ? Math.round(bays) : null,
+    floodlit,
+    covered,
+    tech: Object.keys(RANGE_TECH).filter((k) => yesNo(pickTag(t, RANGE_TECH[k].tags)) ?? RANGE_TECH[k].text.test(text)),
+  };
+}
+
 function classifyCourse(tags, name) {
   const t = tags || {};
   const nameL = String(name || "").toLowerCase();
@@ -181,134 +425,66 @@ const isDrivingRange =
   return { kind: "unknown" };
 }
 
-function classifyType(tags, name) {
-  const t = tags || {};
-  const nameL = String(name || "").toLowerCase();
-  const s = (String(t.surface || "") + " " + String(t["golf:type"] || "") + " " + String(t.description || "")).toLowerCase();
-
-  const out = new Set();
-  if (s.includes("links") || nameL.includes("links")) out.add("links");
-  if (s.includes("heath")) out.add("heathland");
-  if (s.includes("park")) out.add("parkland");
-  if (s.includes("moor")) out.add("moorland");
-  if (s.includes("down")) out.add("downland");
-
-  if (nameL.includes("resort") || nameL.includes("hotel") || nameL.includes("country club") || t.tourism === "hotel") out.add("resort");
+// The tag classifiers run the rules in gdb_classifier_rules.json (see gdb-classifier.js); these
+// return the tags alone, courseRecord() keeps the rule and confidence behind each one
+function classifyType(tags, name, rules = null) {
+  return classifyField(rules, "course_type", { tags, name }).tags;
+}
 
-  if (!out.size) out.add("standard");
-  return [...out];
+function classifyAccess(tags, name, rules = null) {
+  return classifyField(rules, "access", { tags, name }).tags;
 }
 
-function classifyAccess(tags, name) {
-  const t = tags || {};
-  const s = (
-    String(t.access || "") + " " +
-    String(t.membership || "") + " " +
-    String(t.description || "") + " " +
-    String(t.note || "") + " " +
-    String(name || "")
-  ).toLowerCase();
-
-  if (s.includes("members only") || s.includes("private")) return ["members_only"];
-  if (s.includes("visitors welcome") || s.includes("visitor") || s.includes("pay and play") || s.includes("public")) return ["visitors_welcome"];
-  return ["unknown"];
-}
-
-function classifyDressCode(tags, name) {
-  const s = (
-    String(tags?.dress_code || "") + " " +
-    String(tags?.["golf:dress_code"] || "") + " " +
-    String(tags?.description || "") + " " +
-    String(tags?.note || "") + " " +
-    String(name || "")
-  ).toLowerCase();
-
-  if (s.includes("strict") || s.includes("jacket") || s.includes("tie")) return ["strict_golf_attire"];
-  if (s.includes("smart") || s.includes("collar") || s.includes("tailored")) return ["smart_golf_attire"];
-  if (s.includes("casual") || s.includes("relaxed")) return ["casual"];
-  return ["smart_casual"];
-}
-
-function classifyPrice(tags, name) {
-  const s = (
-    String(tags?.greenfee || "") + " " +
-    String(tags?.fee || "") + " " +
-    String(tags?.description || "") + " " +
-    String(name || "")
-  ).toLowerCase();
-
-  const m = s.match(/£\s*([0-9]{1,3})/);
-  if (m) {
-    const n = Number(m[1]);
-    if (n <= 25) return ["value"];
-    if (n <= 50) return ["mid"];
-    if (n <= 90) return ["premium"];
-    return ["luxury"];
-  }
+function classifyDressCode(tags, name, rules = null) {
+  return classifyField(rules, "dress_code", { tags, name }).tags;
+}
 
-  if (s.includes("affordable") || s.includes("municipal") || s.includes("public")) return ["value", "mid"];
-  if (s.includes("resort") || s.includes("championship")) return ["premium", "luxury"];
-  return ["unknown"];
-}
-
-function classifyDifficulty(tags, name, holes) {
-  const s = (
-    String(tags?.handicap || "") + " " +
-    String(tags?.["golf:handicap"] || "") + " " +
-    String(tags?.description || "") + " " +
-    String(tags?.note || "") + " " +
-    String(name || "")
-  ).toLowerCase();
-
-  if (s.includes("handicap") || s.includes("hcp")) {
-    const mm = s.match(/(?:max(?:imum)?\s*)?(?:handicap|hcp)\s*[:=]?\s*([0-9]{1,2})/);
-    if (mm) {
-      const h = Number(mm[1]);
-      if (h <= 18) return ["hard", "low_handicap_friendly"];
-      if (h <= 28) return ["medium", "intermediate_friendly"];
-      return ["easy", "beginner_friendly"];
-    }
-    return ["medium", "hard"];
-  }
+// Bands come from the green fee model (gdb-green-fees.js), in the country's currency
+function classifyPrice(tags, name, country = COUNTRIES.uk, rules = null) {
+  return classifyField(rules, "price_band", { tags, name, country }).tags;
+}
 
-  const nameL = String(name || "").toLowerCase();
-  if (nameL.includes("championship")) return ["hard", "championship"];
-  if ((holes || 18) >= 27) return ["medium", "hard"];
-  return ["medium"];
+// main: the main layout's { count, par, lengthM }, from tags or a scorecard
+function classifyDifficulty(tags, name, holes, main, rules = null) {
+  return classifyField(rules, "difficulty", { tags, name, holes, main }).tags;
 }
 
 function buildItem(el) {
   const tags = el.tags || {};
   const name = tags.name || tags["name:en"] || "unknown";
-  const lat = el.lat ?? el.center?.lat ?? null;
-  const lng = el.lon ?? el.center?.lon ?? null;
+  // "out geom" gives bounds rather than a centre, older "out center" snapshots still load
+  const b = el.bounds;
+  const lat = el.lat ?? el.center?.lat ?? (b ? (b.minlat + b.maxlat) / 2 : null);
+  const lng = el.lon ?? el.center?.lon ?? (b ? (b.minlon + b.maxlon) / 2 : null);
+  const outline = elementGeometry(el);
 
   const holesRaw = pickTag(tags, ["golf:holes", "holes", "golf_holes"]);
   const holesNum = holesRaw && /^\d+$/.test(holesRaw) ? Number(holesRaw) : null;
 
   const parRaw = pickTag(tags, ["golf:par", "par"]);
-  const website = pickTag(tags, ["website", "contact:website", "url"]);
+  const layouts = layoutsFromTags(tags);
+  const lengthM = parseLengthM(pickTag(tags, ["golf:length", "length"]));
+  const websiteRaw = pickTag(tags, ["website", "contact:website", "url"]);
+  // OSM often has bare domains ("www.example.co.uk"), links need a scheme
+  const website = websiteRaw && !/^https?:\/\//i.test(websiteRaw) ? "https://" + websiteRaw.replace(/^\/+/, "") : websiteRaw;
   const phone = pickTag(tags, ["phone", "contact:phone"]);
 
-  return { osm: { id: el.id, type: el.type }, osmType: el.type, name, lat, lng, tags, holes: holesNum, par: parRaw || "", website, phone };
-}
-
-async function reverseGeocode(lat, lng) {
-  const url = "https://nominatim.openstreetmap.org/reverse?format=jsonv2&zoom=18&addressdetails=1&lat=" +
-    encodeURIComponent(lat) + "&lon=" + encodeURIComponent(lng);
-  const res = await fetch(url, { headers: { "User-Agent": "GolfDoneBetterDataBuilder/1.0 (static-site project)" } });
-  if (!res.ok) return null;
-  return await res.json();
+  return {
+    osm: { id: el.id, type: el.type }, osmType: el.type, name, lat, lng, tags,
+    holes: layouts ? layouts.reduce((n, l) => n + (l.count || 0), 0) || null : holesNum,
+    par: layouts ? (layouts[0].par ? String(layouts[0].par) : "") : parRaw || "",
+    layouts, lengthM, website, phone, outline
+  };
 }
 
-function buildAddress(tags, nominatim) {
+function buildAddress(tags, nominatim, country = COUNTRIES.uk) {
   const a = {};
   const t = tags || {}; a.state = pickTag(t, ["addr:state"]);
   a.street = pickTag(t, ["addr:housenumber", "addr:street"]) ? `${pickTag(t,["addr:housenumber"])} ${pickTag(t,["addr:street"])}`.trim() : pickTag(t, ["addr:street"]);
   a.city = pickTag(t, ["addr:city", "addr:town", "addr:village"]);
   a.county = pickTag(t, ["addr:county"]);
   a.postcode = pickTag(t, ["addr:postcode"]);
-  a.country = pickTag(t, ["addr:country"]) || "UK";
+  a.country = pickTag(t, ["addr:country"]) || country.name;
 
   if (!a.state) a.state = "unknown";
   if ((!a.city || !a.postcode || !a.county) && nominatim?.address) {
@@ -317,7 +493,7 @@ function buildAddress(tags, nominatim) {
     a.city = a.city || na.city || na.town || na.village || na.hamlet || "";
     a.county = a.county || na.county || na.state_district || na.state || "";
     a.postcode = a.postcode || na.postcode || "";
-    a.country = a.country || na.country || "UK";
+    a.country = a.country || na.country || country.name;
     if (!a.street) a.street = na.road ? `${na.house_number || ""} ${na.road}`.trim() : "";
   }
 
@@ -328,166 +504,601 @@ function buildAddress(tags, nominatim) {
   return a;
 }
 
-function nationFromAddress(addr) {
-  const state = String(addr?.state || "").toLowerCase();
-  const county = String(addr?.county || "").toLowerCase();
-  const country = String(addr?.country || "").toLowerCase();
-
-  if (state.includes("scotland") || county.includes("scotland") || country.includes("scotland")) return "scotland";
-  if (state.includes("wales") || county.includes("wales") || country.includes("wales")) return "wales";
-  if (state.includes("northern ireland") || county.includes("northern ireland") || country.includes("northern ireland")) return "northern_ireland";
-  if (state.includes("england") || county.includes("england") || country.includes("england")) return "england";
-
-  return "england";
+// The record's nation: the country's first-level region, see gdb-countries.js
+function nationFromAddress(addr, country = COUNTRIES.uk) {
+  return regionFromAddress(addr, country);
 }
 
-function slugId(name, city, county) {
-  const s = (name + " " + city + " " + county).toLowerCase()
+function slugId(name, city, county, country = COUNTRIES.uk) {
+  const s = foldAccents(name + " " + city + " " + county).toLowerCase()
     .replace(/&/g, " and ")
     .replace(/[^a-z0-9]+/g, "_")
     .replace(/^_+|_+$/g, "");
-  return "uk_" + s.slice(0, 120);
+  return country.idPrefix + s.slice(0, 120);
 }
 
-function applyOverrides(item, overrides) {
-  const k = item.id;
-  const ov = overrides?.[k];
-  if (!ov) return item;
-  const out = { ...item, ...ov };
-  if (ov.address) out.address = { ...item.address, ...ov.address };
-  if (ov.links) out.links = { ...item.links, ...ov.links };
-  return out;
+// holes[]: one entry per layout, par and length on the entry only for venues with several
+function holesList(it) {
+  if (it.layouts) {
+    return it.layouts.map((l) => ({
+      count: l.count,
+      label: l.label,
+      ...(l.par ? { par: String(l.par) } : {}),
+      ...(l.lengthM ? { length_m: l.lengthM } : {}),
+      ...(l.osm ? { osm: l.osm } : {}),
+      ...(l.scorecard?.length ? { scorecard: l.scorecard } : {}),
+    }));
+  }
+  if (!it.holes) return [];
+  return [{
+    count: it.holes,
+    label: "Main",
+    ...(it.lengthM ? { length_m: it.lengthM } : {}),
+    ...(it.scorecard?.length ? { scorecard: it.scorecard } : {}),
+  }];
+}
+
+function courseRecord(it, kind, address, id, country = COUNTRIES.uk, rules = null) {
+  const main = it.layouts?.[0] || { count: it.holes, par: parseNumber(it.par), lengthM: it.lengthM };
+  const greenFees = kind === "course" ? parseGreenFees(it.tags, country) : null;
+  const cls = kind === "course" ? classifyAll(rules, { tags: it.tags, name: it.name, holes: it.holes, main, country, greenFees }) : null;
+  const base = {
+    id,
+    name: it.name,
+    kind,
+    nation: nationFromAddress(address, country),
+    address,
+    links: {
+      official: it.website || "unknown",
+      affiliate: { provider: "unknown", url: "unknown" }
+    },
+    geo: it.outline ? { lat: it.lat, lng: it.lng, bbox: bboxOf(it.outline) } : { lat: it.lat, lng: it.lng },
+    holes: holesList(it),
+    par: it.par || "unknown",
+    course_type: cls ? cls.tags.course_type : [],
+    access: cls ? cls.tags.access : ["unknown"],
+    vibe: kind === "course" ? ["friendly"] : [],
+    dress_code: cls ? cls.tags.dress_code : [],
+    difficulty: cls ? cls.tags.difficulty : [],
+    facilities: kind === "course" ? computeFacilities(it.tags) : [],
+    extras: kind === "course" ? ["drinking_unknown", "smoking_unknown"] : [],
+    price_band: cls ? cls.tags.price_band : [],
+    ...(greenFees ? { green_fees: greenFees } : {}),
+    ...(kind === "driving_range" ? { range: computeRangeFacts(it.tags) } : {}),
+    source: it.osm ? { osm: it.osm, has_addr_tags: Boolean(it.tags?.["addr:city"] || it.tags?.["addr:town"] || it.tags?.["addr:village"]) } : {}
+  };
+  // The rule and confidence behind each tag above, see gdb-classifier.js
+  if (cls) base.classification = cls.classification;
+  // Carried through the stages for the geometry file, emit takes it off the record
+  if (it.outline) base.outline = it.outline;
+
+  if (kind === "course") {
+    const nameL = it.name.toLowerCase();
+    if (nameL.includes("municipal") || nameL.includes("public")) base.vibe.push("beginner_friendly", "relaxed");
+    if (base.course_type.includes("resort")) base.vibe.push("premium");
+    if (base.access.includes("members_only")) base.vibe.push("traditional");
+    base.vibe = [...new Set(base.vibe)];
+  }
+  return base;
+}
+
+// Defaults for a course added through overrides.json, run through the same heuristics as OSM records
+function manualRecord(r, country = COUNTRIES.uk, rules = null) {
+  const tags = r.tags || {};
+  const address = { ...buildAddress(tags, null, country), ...(r.address || {}) };
+  const it = { name: r.name, lat: r.geo.lat, lng: r.geo.lng, tags, holes: null, par: "", website: "", osm: null };
+  const base = courseRecord(it, r.kind || "course", address, r.id || slugId(r.name, address.city, address.county, country), country, rules);
+  const { tags: _tags, ...given } = r;
+  // Rates given with the course decide its price band, unless the band is given too
+  const greenFees = given.green_fees ? normalizeGreenFees(given.green_fees, { currency: country.currency.code }) : null;
+  const band = greenFees && !given.price_band ? feeBand(greenFees) : null;
+  const fields = { ...given, ...(greenFees ? { green_fees: greenFees } : {}), ...(band ? { price_band: [band] } : {}) };
+  return {
+    ...base,
+    ...fields,
+    ...(base.classification ? { classification: manualClassification(base.classification, fields) } : {}),
+    address,
+    links: { ...base.links, ...(r.links || {}) },
+    source: { ...base.source, ...(r.source || {}) },
+  };
+}
+
+function parseCli(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      "country": { type: "string" },
+      "overpass-file": { type: "string" },
+      "overpass-url": { type: "string", multiple: true },
+      "save-overpass": { type: "string" },
+      "holes-file": { type: "string" },
+      "save-holes": { type: "string" },
+      "nominatim-url": { type: "string" },
+      "nominatim-cache": { type: "string" },
+      "nominatim-cache-only": { type: "boolean", default: false },
+      "postcode-centroids": { type: "string" },
+      "geocode-rate": { type: "string" },
+      "geocode-concurrency": { type: "string" },
+      "geocode-retries": { type: "string" },
+      "geocode-max-age": { type: "string" },
+      "geocode-invalidate": { type: "string", multiple: true },
+      "overrides": { type: "string" },
+      "id-registry": { type: "string" },
+      "seed-ids": { type: "string" },
+      "previous": { type: "string" },
+      "out-dir": { type: "string" },
+      "generated-utc": { type: "string" },
+      "strict": { type: "boolean", default: false },
+      "from": { type: "string" },
+      "to": { type: "string" },
+      "cache-dir": { type: "string" },
+      "no-cache": { type: "boolean", default: false },
+      "report-dir": { type: "string" },
+      "tile-deg": { type: "string" },
+      "classifier-rules": { type: "string" },
+    },
+  });
+  return values;
 }
 
-async function main() {
-  const query = `
+// Snapshot builds reuse the OSM base timestamp so reruns give identical files
+function generatedStamp(opts, data) {
+  if (opts["generated-utc"]) return new Date(opts["generated-utc"]).toISOString();
+  const osmBase = data?.osm3s?.timestamp_osm_base;
+  if (opts["overpass-file"] && osmBase) return new Date(osmBase).toISOString();
+  return new Date().toISOString();
+}
+
+const overpassQuery = (country) => `
 [out:json][timeout:180];
-area["ISO3166-1"="GB"][admin_level=2]->.uk;
+area["ISO3166-1"="${country.iso}"][admin_level=2]->.country;
 (
-  nwr["leisure"="golf_course"]["leisure"!="miniature_golf"]["golf"!="pitch_and_putt"]["golf"!="miniature_golf"]["golf"!="practice"]["golf"!="driving_range"]["golf"!="adventure_golf"]["golf"!="disc_golf"]["golf"!="footgolf"](area.uk);
-  nwr["golf"="course"]["golf"!="pitch_and_putt"]["golf"!="miniature_golf"]["golf"!="practice"]["golf"!="driving_range"]["golf"!="adventure_golf"]["golf"!="disc_golf"]["golf"!="footgolf"](area.uk);
-  nwr["golf"="driving_range"](area.uk);
-  nwr["leisure"="driving_range"](area.uk);
+  nwr["leisure"="golf_course"]["leisure"!="miniature_golf"]["golf"!="pitch_and_putt"]["golf"!="miniature_golf"]["golf"!="practice"]["golf"!="driving_range"]["golf"!="adventure_golf"]["golf"!="disc_golf"]["golf"!="footgolf"](area.country);
+  nwr["golf"="course"]["golf"!="pitch_and_putt"]["golf"!="miniature_golf"]["golf"!="practice"]["golf"!="driving_range"]["golf"!="adventure_golf"]["golf"!="disc_golf"]["golf"!="footgolf"](area.country);
+  nwr["golf"="driving_range"](area.country);
+  nwr["leisure"="driving_range"](area.country);
 );
-out center tags;
+out tags geom;
 `;
 
-  console.log("Fetching UK golf features via Overpass...");
-  const data = await overpass(query);
-  const raw = (data.elements || []).map(buildItem).filter(x => x.lat && x.lng && x.name && x.name !== "unknown");
-  console.log("Raw items:", raw.length);
-
-  const deduped = dedupe(raw);
-  console.log("After dedupe:", deduped.length);
+// Individual holes for scorecards, matched to courses by outline in the scorecard stage
+const holesQuery = (country) => `
+[out:json][timeout:300];
+area["ISO3166-1"="${country.iso}"][admin_level=2]->.country;
+way["golf"="hole"](area.country);
+out tags geom;
+`;
 
-  const overridesPath = path.resolve("./overrides.json");
-  const overrides = fs.existsSync(overridesPath) ? JSON.parse(fs.readFileSync(overridesPath, "utf8")) : null;
+/* Pipeline stages. Each one takes the previous stage's output and returns plain JSON,
+   which gdb-pipeline.js caches so a build can resume from any stage. generated_utc is
+   fixed at fetch time and carried through, so a resumed build keeps the snapshot's stamp. */
 
-  const cachePath = path.resolve("./nominatim_cache.json");
-  const nomCache = fs.existsSync(cachePath) ? JSON.parse(fs.readFileSync(cachePath, "utf8")) : {};
-  let cacheWrites = 0;
+async function fetchStage(_input, ctx) {
+  console.log(`Fetching ${ctx.country.name} golf features via ${ctx.overpass.describe()}...`);
+  const data = await ctx.overpass.query(overpassQuery(ctx.country));
+  if (ctx.opts["save-overpass"]) {
+    saveOverpassSnapshot(ctx.opts["save-overpass"], data);
+    console.log("Saved Overpass snapshot:", path.resolve(ctx.opts["save-overpass"]));
+  }
+  return { generated_utc: generatedStamp(ctx.opts, data), osm3s: data.osm3s || null, elements: data.elements || [] };
+}
 
-  const courses = [];
-  const ranges = [];
+async function dedupeStage(input) {
+  const raw = input.elements.map(buildItem).filter(x => x.lat && x.lng && x.name && x.name !== "unknown");
+  console.log("Raw items:", raw.length);
+  const items = dedupe(raw);
+  console.log("After dedupe:", items.length);
+  return { generated_utc: input.generated_utc, items };
+}
 
-  for (let i = 0; i < deduped.length; i++) {
-    const it = deduped[i];
+async function classifyStage(input) {
+  const items = [];
+  for (const it of input.items) {
     const kind = classifyCourse(it.tags, it.name);
     if (kind.kind === "exclude" || kind.kind === "unknown") continue;
+    items.push({ ...it, kind: kind.kind });
+  }
+  console.log("Courses and ranges:", items.length);
+  return { generated_utc: input.generated_utc, items };
+}
 
-    const cacheKey = `${it.lat.toFixed(5)},${it.lng.toFixed(5)}`;
-    let nom = nomCache[cacheKey] || null;
-
-    if (!nom) {
-      try {
-        nom = await reverseGeocode(it.lat, it.lng);
-        nomCache[cacheKey] = nom;
-        cacheWrites++;
-        if (cacheWrites % 25 === 0) fs.writeFileSync(cachePath, JSON.stringify(nomCache, null, 2), "utf8");
-      } catch (e) {
-        nom = null;
-      }
-      await sleep(1100);
+async function venuesStage(input) {
+  const items = groupVenues(input.items);
+  console.log("Multi-course venues:", items.filter((it) => it.layouts).length, "| records:", items.length);
+  return { generated_utc: input.generated_utc, items };
+}
+
+// Fills holes, par and length a layout lacks from a complete scorecard, OSM tags win
+function withScorecard(l, holes) {
+  if (!holes) return l;
+  const card = buildScorecard(holes);
+  return {
+    ...l,
+    scorecard: card.rows,
+    count: l.count || (card.complete ? card.rows.length : null),
+    par: l.par || card.par,
+    lengthM: l.lengthM || card.lengthM,
+  };
+}
+
+async function scorecardStage(input, ctx) {
+  if (!ctx.holes) {
+    console.log("Scorecards skipped: snapshot build without --holes-file");
+    return input;
+  }
+  console.log("Fetching golf=hole features via " + ctx.holes.describe() + "...");
+  const data = await ctx.holes.query(holesQuery(ctx.country));
+  if (ctx.opts["save-holes"]) {
+    saveOverpassSnapshot(ctx.opts["save-holes"], data);
+    console.log("Saved holes snapshot:", path.resolve(ctx.opts["save-holes"]));
+  }
+  const holes = (data.elements || []).map(holeFeature).filter(Boolean);
+
+  // Venue layouts with their own outline get their own card, other courses one card
+  const targets = [];
+  input.items.forEach((it, i) => {
+    if (it.kind !== "course") return;
+    const own = (it.layouts || []).map((l, j) => ({ key: i + "/" + j, outline: l.outline })).filter((t) => t.outline);
+    if (own.length) targets.push(...own);
+    else if (it.outline) targets.push({ key: String(i), outline: it.outline });
+  });
+  const byKey = assignHoles(targets, holes);
+
+  let carded = 0;
+  const items = input.items.map((it, i) => {
+    if (it.layouts && it.layouts.some((_, j) => byKey.has(i + "/" + j))) {
+      carded++;
+      const layouts = it.layouts.map((l, j) => withScorecard(l, byKey.get(i + "/" + j)));
+      return { ...it, layouts, par: it.par || (layouts[0].par ? String(layouts[0].par) : "") };
     }
+    if (!byKey.has(String(i))) return it;
+    carded++;
+    const card = withScorecard({ count: it.holes, par: parseNumber(it.par), lengthM: it.lengthM }, byKey.get(String(i)));
+    return { ...it, scorecard: card.scorecard, holes: card.count, par: card.par ? String(card.par) : "", lengthM: card.lengthM };
+  });
+  console.log("Holes:", holes.length, "| courses with a scorecard:", carded);
+  return { generated_utc: input.generated_utc, items };
+}
+
+// buildAddress() only reads the geocoder's answer when the tags leave one of these out
+function addressComplete(tags, country) {
+  const a = buildAddress(tags, null, country);
+  return a.city !== "unknown" && a.county !== "unknown" && a.postcode !== "unknown";
+}
+
+async function geocodeStage(input, ctx) {
+  const { geocoder, geocodeOpts, registry, country, paths } = ctx;
+  console.log("Reverse geocoding via " + geocoder.describe());
+
+  const wanted = input.items.filter((it) => !addressComplete(it.tags, country));
+  const started = Date.now();
+  const { answers, failed, counts } = await geocodeAll(wanted, geocoder, {
+    ...geocodeOpts,
+    onProgress(done, total, failures) {
+      if (done % 100 && done !== total) return;
+      const left = Math.round(((Date.now() - started) / done) * (total - done) / 60000);
+      console.log(`Geocoded ${done}/${total}` + (failures ? `, ${failures} failed` : "") + (done < total ? `, about ${left} min left` : ""));
+    },
+  });
+  geocoder.flush();
+
+  const records = [];
+  for (const it of input.items) {
+    const address = buildAddress(it.tags, answers.get(pointKey(it.lat, it.lng)) || null, country);
+    const id = registry.assign(it.osm, slugId(it.name, address.city, address.county, country));
+    for (const m of it.mergedOsm || []) registry.noteMerge(m, it.osm);
+
+    records.push(courseRecord(it, it.kind, address, id, country, ctx.rules));
+  }
+
+  const names = new Map(wanted.map((it) => [pointKey(it.lat, it.lng), it.name]));
+  const report = {
+    source: geocoder.describe(),
+    counts: { items: input.items.length, from_tags: input.items.length - wanted.length, ...counts },
+    failed: failed.map((f) => ({ name: names.get(f.key), lat: f.lat, lng: f.lng, error: f.error, used_stale: f.stale })),
+  };
+  fs.mkdirSync(paths.reportDir, { recursive: true });
+  fs.writeFileSync(path.join(paths.reportDir, "geocode_report.json"), JSON.stringify(report, null, 2), "utf8");
+  console.log("Geocode:", report.counts);
+
+  registry.save();
+  return { generated_utc: input.generated_utc, records };
+}
+
+function readOverrides(ctx) {
+  return fs.existsSync(ctx.paths.overrides) ? JSON.parse(fs.readFileSync(ctx.paths.overrides, "utf8")) : null;
+}
 
-    const address = buildAddress(it.tags, nom);
-    const nation = nationFromAddress(address);
-    const id = slugId(it.name, address.city, address.county);
-
-    const base = {
-      id,
-      name: it.name,
-      kind: kind.kind,
-      nation,
-      address,
-      links: {
-        official: it.website || "unknown",
-        affiliate: { provider: "unknown", url: "unknown" }
-      },
-      geo: { lat: it.lat, lng: it.lng },
-      holes: it.holes ? [{ count: it.holes, label: "Main" }] : [],
-      par: it.par || "unknown",
-      course_type: kind.kind === "course" ? classifyType(it.tags, it.name) : [],
-      access: kind.kind === "course" ? classifyAccess(it.tags, it.name) : ["unknown"],
-      vibe: kind.kind === "course" ? ["friendly"] : [],
-      dress_code: kind.kind === "course" ? classifyDressCode(it.tags, it.name) : [],
-      difficulty: kind.kind === "course" ? classifyDifficulty(it.tags, it.name, it.holes) : [],
-      facilities: kind.kind === "course" ? computeFacilities(it.tags) : [],
-      extras: kind.kind === "course" ? ["drinking_unknown", "smoking_unknown"] : [],
-      price_band: kind.kind === "course" ? classifyPrice(it.tags, it.name) : [],
-      source: { osm: it.osm, has_addr_tags: Boolean(it.tags?.["addr:city"] || it.tags?.["addr:town"] || it.tags?.["addr:village"]) }
-    };
-
-    if (kind.kind === "course") {
-      const nameL = it.name.toLowerCase();
-      if (nameL.includes("municipal") || nameL.includes("public")) base.vibe.push("beginner_friendly", "relaxed");
-      if (base.course_type.includes("resort")) base.vibe.push("premium");
-      if (base.access.includes("members_only")) base.vibe.push("traditional");
-      base.vibe = [...new Set(base.vibe)];
+async function purityStage(input, ctx) {
+  const courses = input.records.filter((r) => r.kind === "course");
+  // Pins are applied with the other overrides after this stage, but the records they
+  // name must not be dropped here first
+  const result = purity.purify({ courses }, {
+    purifiedUtc: input.generated_utc,
+    postcodeLooksValid: (pc) => postcodeLooksValid(pc, ctx.country),
+    pinned: pinnedById(readOverrides(ctx), { resolveId: ctx.registry.resolve }),
+  });
+  const keptIds = new Set(result.out.courses.map((c) => c.id));
+  const reasons = new Map(result.excluded.map((x) => [x.id, x]));
+
+  // Excluded records are kept whole in the stage output so reviewers can restore them later
+  const excluded = courses.filter((c) => !keptIds.has(c.id)).map((c) => ({ ...c, entity_type: reasons.get(c.id)?.entity_type, purity_reason: reasons.get(c.id)?.reason }));
+  const byId = new Map(result.out.courses.map((c) => [c.id, c]));
+  const records = input.records.filter((r) => r.kind !== "course" || keptIds.has(r.id)).map((r) => byId.get(r.id) || r);
+
+  const files = purity.writeReports(ctx.paths.reportDir, result);
+
+  // Full records for review-courses.html, which turns decisions into overrides.json entries
+  const manualIds = new Set(result.manual.map((x) => x.id));
+  const candidates = [
+    ...result.out.courses.filter((c) => manualIds.has(c.id)).map((c) => ({ list: "manual_review", record: c })),
+    ...excluded.map((c) => ({ list: "excluded", record: c })),
+  ];
+  fs.writeFileSync(path.join(ctx.paths.reportDir, "purity_candidates.json"), JSON.stringify({ generated_utc: input.generated_utc, candidates }, null, 2), "utf8");
+
+  console.log("Purity:", result.report.summary.courses_kept, "kept,", result.report.summary.excluded_total, "excluded,", result.report.summary.manual_review, "for review");
+  console.log("Purity report:", files.purity);
+  return { generated_utc: input.generated_utc, records, purity: { summary: result.report.summary, excluded, manual_review: result.manual } };
+}
+
+async function overridesStage(input, ctx) {
+  const { registry } = ctx;
+  const overridesPath = ctx.paths.overrides;
+  const overrides = readOverrides(ctx);
+
+  const applied = applyOverrideSet(input.records, overrides, {
+    resolveId: registry.resolve,
+    complete: (r) => manualRecord(r, ctx.country, ctx.rules),
+    excluded: input.purity?.excluded || [],
+  });
+  for (const [from, into] of Object.entries(applied.aliases)) registry.addAlias(from, into);
+  registry.save();
+
+  const ov = applied.report;
+  console.log("Overrides:", ov.applied.length, "applied,", ov.stale.length, "stale,", ov.redirected.length, "redirected,", ov.invalid.length, "invalid");
+  for (const x of ov.stale) console.log("  stale override #" + x.index, x.op, x.missing);
+  for (const x of ov.invalid) console.log("  invalid override #" + x.index, x.op, x.problem);
+
+  // Only the file name: the report is published and must not change with the checkout's path
+  return { generated_utc: input.generated_utc, records: applied.records, purity: input.purity, overrides: { file: path.basename(overridesPath), ...ov } };
+}
+
+// A --geocode-* number, null when the option is not given. NaN would retry a failing
+// server forever or treat the whole cache as stale, so anything else is a usage error
+function geocodeNumber(opts, name, { positive = false, integer = false } = {}) {
+  const raw = opts[`geocode-${name}`];
+  if (raw == null) return null;
+  const n = Number(raw);
+  const ok = raw.trim() !== "" && Number.isFinite(n) && (positive ? n > 0 : n >= 0) && (!integer || Number.isInteger(n));
+  if (!ok) throw new Error(`--geocode-${name} must be a ${positive ? "positive" : "non-negative"} ${integer ? "whole number" : "number"}, got ${raw}`);
+  return n;
+}
+
+function tileDegOf(opts) {
+  if (!opts["tile-deg"]) return TILE_DEG;
+  const deg = Number(opts["tile-deg"]);
+  if (!(deg > 0 && deg <= 10)) throw new Error(`--tile-deg must be a number of degrees between 0 and 10, got ${opts["tile-deg"]}`);
+  return deg;
+}
+
+// Hashed names pile up across builds, so tiles the new manifest does not list are removed;
+// other countries' tiles in the same directory are left alone
+function writeTiles(outDir, { manifest, files }, country) {
+  const dir = path.join(outDir, "tiles");
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  for (const [file, body] of files) fs.writeFileSync(path.join(outDir, file), body, "utf8");
+  let removed = 0;
+  for (const name of fs.readdirSync(dir)) {
+    if (new RegExp(`^gdb_(tile|summary)_${country.code}[._].*\\.json$`).test(name) && !files.has("tiles/" + name)) {
+      fs.unlinkSync(path.join(dir, name));
+      removed++;
     }
+  }
+  fs.writeFileSync(path.join(outDir, dataFile(country, "tiles")), JSON.stringify(manifest, null, 2), "utf8");
+  console.log("Tiles:", Object.keys(manifest.tiles).length, "tiles, version", manifest.version + (removed ? `, ${removed} stale file(s) removed` : ""));
+}
+
+// gdb_countries.json: every country built into this directory, so the pages can load them all
+function writeCountryIndex(outDir, country, meta, manifestVersion) {
+  const file = path.join(outDir, "gdb_countries.json");
+  const prev = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+  const countries = { ...(prev.countries || {}) };
+  countries[country.code] = {
+    name: country.name,
+    schema_version: meta.schema_version,
+    generated_utc: meta.generated_utc,
+    currency: country.currency.code,
+    regions: country.regions.map((r) => r.key),
+    counts: { courses: meta.counts.courses_total, driving_ranges: meta.counts.driving_ranges_total },
+    version: manifestVersion,
+    files: {
+      courses: dataFile(country, "courses"),
+      driving_ranges: dataFile(country, "driving_ranges"),
+      tiles: dataFile(country, "tiles"),
+      search_index: dataFile(country, "search_index"),
+      aliases: dataFile(country, "id_aliases"),
+      geometry: dataFile(country, "course_geometry"),
+    },
+  };
+  const sorted = Object.fromEntries(Object.keys(countries).sort().map((k) => [k, countries[k]]));
+  fs.writeFileSync(file, JSON.stringify({ schema_version: "gdb_countries_v1", countries: sorted }, null, 2), "utf8");
+}
 
-    const final = applyOverrides(base, overrides);
+async function emitStage(input, ctx) {
+  const { opts, registry, country } = ctx;
+  const OUT_DIR = ctx.paths.outDir;
+  if (!fs.existsSync(OUT_DIR)) fs.mkdirSync(OUT_DIR, { recursive: true });
 
+  const courses = [];
+  const ranges = [];
+  const outlined = [];
+  for (const { outline, ...final } of input.records) {
+    if (outline) outlined.push({ id: final.id, kind: final.kind, outline });
     if (final.kind === "driving_range") {
-      ranges.push({ id: final.id, name: final.name, nation: final.nation, address: final.address, links: final.links, geo: final.geo, kind: "driving_range" });
+      ranges.push({
+        id: final.id, name: final.name, nation: final.nation, address: final.address, links: final.links, geo: final.geo,
+        kind: "driving_range", ...(final.range ? { range: final.range } : {}), source: final.source,
+      });
     } else {
       courses.push(final);
     }
   }
 
-  fs.writeFileSync(cachePath, JSON.stringify(nomCache, null, 2), "utf8");
+  assertUniqueIds([...courses, ...ranges]);
+  const aliases = registry.finalizeAliases(new Set([...courses, ...ranges].map((x) => x.id)));
+  registry.save();
+  console.log("Ids:", registry.minted.length, "minted,", Object.keys(aliases).length, "aliases");
 
-  const byNation = { england: [], scotland: [], wales: [], northern_ireland: [] };
+  const byNation = Object.fromEntries(country.regions.map((r) => [r.key, []]));
   for (const c of courses) {
-    const n = byNation[c.nation] ? c.nation : "england";
+    const n = byNation[c.nation] ? c.nation : country.defaultRegion;
     byNation[n].push(c);
   }
 
   const meta = {
-    schema_version: "gdb_courses_uk_v1",
-    generated_utc: new Date().toISOString(),
+    schema_version: country.schemaVersion,
+    generated_utc: opts["generated-utc"] ? new Date(opts["generated-utc"]).toISOString() : input.generated_utc,
     counts: {
       courses_total: courses.length,
       driving_ranges_total: ranges.length,
+      with_outline: outlined.length,
       by_nation: Object.fromEntries(Object.entries(byNation).map(([k,v]) => [k, v.length]))
     },
     notes: "Facts from OSM plus GDB opinion tags via heuristics. Use overrides.json for manual fixes."
   };
 
-  fs.writeFileSync(path.join(OUT_DIR, "gdb_courses_uk.json"), JSON.stringify({ ...meta, courses }, null, 2), "utf8");
-  fs.writeFileSync(path.join(OUT_DIR, "gdb_driving_ranges_uk.json"), JSON.stringify({ ...meta, driving_ranges: ranges }, null, 2), "utf8");
+  // Checked before anything in OUT_DIR is replaced, so a strict failure leaves the last good build
+  const schema = countrySchema(country);
+  const report = fieldReport([
+    ...validateDataset({ ...meta, courses }, schema),
+    ...validateDataset({ ...meta, driving_ranges: ranges }, schema),
+  ]);
+  printFieldReport("Schema " + country.schemaVersion, report);
+  if (report.total && opts.strict) throw new Error(`Strict mode: ${report.total} schema violation(s)`);
+
+  // Read the last build before it is overwritten
+  const previousPath = path.resolve(opts.previous || path.join(OUT_DIR, dataFile(country, "courses")));
+  const previous = fs.existsSync(previousPath) ? JSON.parse(fs.readFileSync(previousPath, "utf8")) : null;
+  const changelog = buildChangelog(previous, courses, aliases, meta.generated_utc);
+  console.log("Changes:", changelog.summary);
+
+  fs.writeFileSync(path.join(OUT_DIR, dataFile(country, "courses")), JSON.stringify({ ...meta, courses }, null, 2), "utf8");
+  fs.writeFileSync(path.join(OUT_DIR, dataFile(country, "driving_ranges")), JSON.stringify({ ...meta, driving_ranges: ranges }, null, 2), "utf8");
 
   for (const [nation, arr] of Object.entries(byNation)) {
-    fs.writeFileSync(path.join(OUT_DIR, `gdb_courses_uk.${nation}.json`), JSON.stringify({ ...meta, nation, courses: arr }, null, 2), "utf8");
+    fs.writeFileSync(path.join(OUT_DIR, `gdb_courses_${country.code}.${nation}.json`), JSON.stringify({ ...meta, nation, courses: arr }, null, 2), "utf8");
   }
 
-  fs.writeFileSync(path.join(OUT_DIR, "gdb_courses_uk_index.json"), JSON.stringify(meta, null, 2), "utf8");
+  fs.writeFileSync(path.join(OUT_DIR, dataFile(country, "course_geometry")), JSON.stringify({ generated_utc: meta.generated_utc, ...geometryFeatureCollection(outlined) }), "utf8");
+  const tiles = buildTiles(courses, new Map(outlined.map((o) => [o.id, o.outline])), { tileDeg: tileDegOf(opts), generatedUtc: meta.generated_utc, country: country.code });
+  writeTiles(OUT_DIR, tiles, country);
+  const searchIndex = buildSearchIndex(courses, { normStr, stopwords: NAME_STOPWORDS, generatedUtc: meta.generated_utc, postcodeTerms: country.postcode.terms });
+  fs.writeFileSync(path.join(OUT_DIR, dataFile(country, "search_index")), JSON.stringify(searchIndex), "utf8");
+  fs.writeFileSync(path.join(OUT_DIR, `gdb_courses_${country.code}_index.json`), JSON.stringify({ ...meta, changes: changelog.summary }, null, 2), "utf8");
+  fs.writeFileSync(path.join(OUT_DIR, `gdb_courses_${country.code}_changelog.json`), JSON.stringify(changelog, null, 2), "utf8");
+  // The UK report keeps the name it had before there were other countries
+  fs.writeFileSync(path.join(OUT_DIR, country.code === "uk" ? "gdb_overrides_report.json" : dataFile(country, "overrides_report")), JSON.stringify({ generated_utc: meta.generated_utc, ...input.overrides }, null, 2), "utf8");
+  fs.writeFileSync(path.join(OUT_DIR, dataFile(country, "id_aliases")), JSON.stringify({ schema_version: "gdb_id_aliases_v1", generated_utc: meta.generated_utc, aliases }, null, 2), "utf8");
+  writeCountryIndex(OUT_DIR, country, meta, tiles.manifest.version);
 
   console.log("Done.");
   console.log(meta.counts);
+  return { generated_utc: meta.generated_utc, counts: meta.counts, changes: changelog.summary };
 }
 
-main().catch((e) => {
-  console.error("Build failed:", e);
-  process.exit(1);
-});
+const STAGES = [
+  { name: "fetch", run: fetchStage },
+  { name: "dedupe", run: dedupeStage },
+  { name: "classify", run: classifyStage },
+  { name: "venues", run: venuesStage },
+  { name: "scorecard", run: scorecardStage },
+  { name: "geocode", run: geocodeStage },
+  { name: "purity", run: purityStage },
+  { name: "overrides", run: overridesStage },
+  { name: "emit", run: emitStage },
+];
+
+async function main(argv = process.argv.slice(2)) {
+  const opts = parseCli(argv);
+  const country = countryConfig(opts.country);
+
+  const paths = {
+    outDir: path.resolve(opts["out-dir"] || "./dist"),
+    cacheDir: path.resolve(opts["cache-dir"] || country.defaults.cacheDir),
+    reportDir: path.resolve(opts["report-dir"] || country.defaults.reportDir),
+    overrides: path.resolve(opts.overrides || country.defaults.overrides),
+  };
+
+  const overpass = opts["overpass-file"]
+    ? fileOverpassSource(opts["overpass-file"])
+    : httpOverpassSource(opts["overpass-url"]?.length ? opts["overpass-url"] : DEFAULT_OVERPASS_ENDPOINTS);
+
+  const geocoder = opts["postcode-centroids"]
+    ? await postcodeCentroidSource(opts["postcode-centroids"])
+    : nominatimSource({
+      cacheFile: path.resolve(opts["nominatim-cache"] || "./nominatim_cache.json"),
+      baseUrl: opts["nominatim-url"] || DEFAULT_NOMINATIM_URL,
+      cacheOnly: opts["nominatim-cache-only"],
+      maxAgeDays: geocodeNumber(opts, "max-age"),
+    });
+  if (geocoder.recovered) console.log("Geocode checkpoint: recovered", geocoder.recovered, "answers from an interrupted run");
+  if (opts["geocode-invalidate"]?.length && !geocoder.invalidate) throw new Error("--geocode-invalidate works on the Nominatim cache, not --postcode-centroids");
+  for (const spec of opts["geocode-invalidate"] || []) {
+    const [lat, lng, km = 0] = spec.split(",").map(Number);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || !Number.isFinite(km)) throw new Error(`--geocode-invalidate expects lat,lng or lat,lng,km, got ${spec}`);
+    console.log(`Geocode cache: dropped ${geocoder.invalidate(lat, lng, km)} answer(s) near ${lat},${lng}`);
+  }
+  // Saved now, a run started --from a later stage never reaches the geocode stage's flush
+  if (opts["geocode-invalidate"]?.length) geocoder.flush();
+
+  const defaults = (opts["nominatim-url"] || DEFAULT_NOMINATIM_URL) === DEFAULT_NOMINATIM_URL ? PUBLIC_RATE : LOCAL_RATE;
+  const geocodeOpts = {
+    rate: geocodeNumber(opts, "rate", { positive: true }) ?? defaults.rate,
+    concurrency: geocodeNumber(opts, "concurrency", { positive: true, integer: true }) ?? defaults.concurrency,
+    retries: geocodeNumber(opts, "retries", { integer: true }) ?? undefined,
+  };
+
+  const registry = loadIdRegistry(opts["id-registry"] || country.defaults.registry);
+  if (opts["seed-ids"]) {
+    const seed = registry.seedFromBuild(JSON.parse(fs.readFileSync(path.resolve(opts["seed-ids"]), "utf8")));
+    console.log("Seeded ids:", seed.adopted, "adopted,", seed.skipped, "duplicates left to mint");
+  }
+
+  // Snapshot builds stay offline: holes come from their own snapshot or are skipped
+  const holes = opts["holes-file"]
+    ? fileOverpassSource(opts["holes-file"])
+    : opts["overpass-file"] ? null : overpass;
+
+  const rules = loadRules(opts["classifier-rules"] ? path.resolve(opts["classifier-rules"]) : undefined);
+
+  const ctx = { opts, paths, country, overpass, holes, geocoder, geocodeOpts, registry, rules };
+  return runPipeline(STAGES, ctx, { from: opts.from, to: opts.to, cacheDir: paths.cacheDir, cache: !opts["no-cache"] });
+}
+
+export {
+  normStr,
+  havKm,
+  dedupe,
+  buildItem,
+  buildAddress,
+  nationFromAddress,
+  classifyCourse,
+  classifyType,
+  classifyAccess,
+  classifyDressCode,
+  classifyPrice,
+  classifyDifficulty,
+  computeRangeFacts,
+  slugId,
+  courseRecord,
+  STAGES,
+  main,
+};
+
+// Run only when executed directly, so the helpers can be imported for fixture checks
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch((e) => {
+    console.error("Build failed:", e);
+    process.exit(1);
+  });
+}
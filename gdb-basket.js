@@ -0,0 +1,315 @@
+/* GDB trip basket (browser)
+The trip basket plan-golf-trip.html builds and the search page adds compared courses to,
+kept in localStorage. Every read goes through migrate() and validate(), so older baskets
+and pasted imports come out in the current shape or with a report of what was wrong.
+
+  GDB_BASKET.empty()             a new basket
+  GDB_BASKET.load()              the stored basket, current version (problems go to the console)
+  GDB_BASKET.save(basket)
+  GDB_BASKET.parseImport(text)   { basket, report:{ from, errors, warnings } }, basket null when errors
+  GDB_BASKET.reresolve(basket)   Promise { changed:[{ from, to, name }], missing:[name] }, see below
+
+  basket v11 {
+    version: 11, updatedAt,
+    dataset: { version },            build of data/ the course ids were valid in, see gdb-tiles.js
+    flow: { currentStep }, location, currency: 'GBP',
+    players: [{ id, name, handicap }],
+    courses: [{ id, name, place, lat, lng, holes, access, website, isResort, rounds, roundDates:['2027-05-14' | ''],
+                roundPlayers:[[playerId] | null], osm }],
+    stays: [{ id, name, lat, lng, nights, startDate, endDate, rooms:[{ id, name, players:[playerId] }] }],
+    transport: [{ id, kind:'car_hire', name, vehicle, startDate, startTime, endDate, endTime, pickup, dropoff, summary }
+              | { id, kind:'transfer', tripType, pickup, dropoff, outboundDate, outboundTime, returnDate, ... }],
+    warmups: [{ id, rangeId, name, place, lat, lng, website, date, course }],
+    ledger: [{ id, kind, name, amount, paidBy, split:[playerId] | null, ref }]
+  }
+
+The group parts (players, rooms, ledger) are read by gdb-group.js. warmups are driving range
+stops (gdb_driving_ranges_<code>.json) on a day of the trip; course is the id of the course
+played after it, or '' for a range visit on its own.
+
+Fields the page does not know about are kept as they are. An entry without an id or name
+is dropped, and a field with a value it cannot use is cleared; both are reported.
+
+Course ids from the dataset ("uk_...") can change between builds. reresolve() maps them to
+current ids through the builder's aliases or the course's OSM refs when the basket's dataset
+version is not the current one. Ids from the planner's own OSM search ("osm_way_123") never change.
+*/
+(() => {
+  const STORAGE_KEY = 'gdb_trip_v8_fixed';
+  const VERSION = 11;
+  const MAX_ROUNDS = 30;
+  const MAX_NIGHTS = 60;
+  // World Handicap System limits; plus handicaps are stored as negatives
+  const MIN_HANDICAP = -10;
+  const MAX_HANDICAP = 54;
+  const LEDGER_KINDS = ['green_fee', 'room', 'car_hire', 'transfer', 'other'];
+
+  const now = () => new Date().toISOString();
+
+  const empty = () => ({
+    version: VERSION,
+    updatedAt: now(),
+    dataset: { version: null },
+    flow: { currentStep: null },
+    location: null,
+    currency: 'GBP',
+    players: [],
+    courses: [],
+    stays: [],
+    transport: [],
+    warmups: [],
+    ledger: []
+  });
+
+  const isObj = (x) => !!x && typeof x === 'object' && !Array.isArray(x);
+  const isIso = (s) => /^\d{4}-\d{2}-\d{2}$/.test(s) && !Number.isNaN(Date.parse(s + 'T00:00:00Z')) && new Date(s + 'T00:00:00Z').toISOString().startsWith(s);
+  const isTime = (s) => /^([01]\d|2[0-3]):[0-5]\d$/.test(s);
+
+  // --- Migrations: each takes a basket of its version and returns the next ---
+
+  const MIGRATIONS = {
+    // v8 was the first versioned basket. Car hire kept its times only inside the summary text.
+    8: (b) => ({
+      ...b,
+      version: 9,
+      dataset: { version: null },
+      transport: (Array.isArray(b.transport) ? b.transport : []).map(t => {
+        if(!isObj(t) || t.kind !== 'car_hire') return t;
+        const timeAfter = (label) => ((String(t.summary || '').match(new RegExp(label + ' \\d{2}/\\d{2}/\\d{2} (\\d{2}:\\d{2})')) || [])[1] || '');
+        return { startTime: timeAfter('Pick up'), endTime: timeAfter('Return'), ...t };
+      })
+    }),
+    // v9 had no group: everyone played every round and nothing was costed
+    9: (b) => ({ ...b, version: 10, currency: 'GBP', players: [], ledger: [] }),
+    // v10 had no warm-up range stops
+    10: (b) => ({ ...b, version: 11, warmups: [] })
+  };
+
+  const migrate = (raw, report) => {
+    // Baskets from before the version field have the v8 shape
+    let b = { ...raw, version: Number.isInteger(raw.version) ? raw.version : 8 };
+    report.from = b.version;
+    if(b.version > VERSION){
+      report.errors.push(`This basket was saved by a newer version of the planner (format ${b.version}). Reload the page and try again.`);
+      return null;
+    }
+    while(b.version < VERSION){
+      const step = MIGRATIONS[b.version];
+      if(!step){
+        report.errors.push(`Basket format ${b.version} is too old to read.`);
+        return null;
+      }
+      b = step(b);
+    }
+    return b;
+  };
+
+  // --- Validation: fixes what it can and reports it ---
+
+  // Players first, so the others can check the player ids they refer to; courses before warm-ups
+  const SECTIONS = { players: 'Player', courses: 'Course', stays: 'Stay', transport: 'Transport', warmups: 'Warm-up', ledger: 'Cost' };
+
+  const validate = (b, report) => {
+    const out = { ...empty(), ...b, version: VERSION };
+    out.dataset = isObj(b.dataset) ? { ...b.dataset, version: typeof b.dataset.version === 'string' ? b.dataset.version : null } : { version: null };
+    out.flow = isObj(b.flow) ? { ...b.flow, currentStep: b.flow.currentStep || null } : { currentStep: null };
+    out.location = isObj(b.location) ? b.location : null;
+    out.currency = typeof b.currency === 'string' && /^[A-Z]{3}$/.test(b.currency) ? b.currency : 'GBP';
+    const playerIds = new Set();
+    const knownPlayers = (ids, where) => {
+      const kept = ids.map(String).filter(id => playerIds.has(id));
+      if(kept.length < ids.length) report.warnings.push(`${where} names players who are not on the trip, they were left out.`);
+      return [...new Set(kept)];
+    };
+
+    for(const [key, label] of Object.entries(SECTIONS)){
+      if(b[key] == null){ out[key] = []; continue; }
+      if(!Array.isArray(b[key])){
+        report.errors.push(`"${key}" should be a list.`);
+        out[key] = [];
+        continue;
+      }
+      const seen = new Set();
+      out[key] = b[key].flatMap((raw, i) => {
+        const where = `${label} ${i + 1}${isObj(raw) && raw.name ? ` ("${raw.name}")` : ''}`;
+        if(!isObj(raw)){ report.warnings.push(`${where} is not an entry, skipped.`); return []; }
+        const item = { ...raw };
+        if(item.id == null || String(item.id).trim() === ''){ report.warnings.push(`${where} has no id, skipped.`); return []; }
+        item.id = String(item.id);
+        if(typeof item.name !== 'string' || !item.name.trim()){ report.warnings.push(`${where} has no name, skipped.`); return []; }
+        if(seen.has(item.id)){ report.warnings.push(`${where} is listed twice, the second copy was skipped.`); return []; }
+        seen.add(item.id);
+
+        const fix = (field, ok, message) => {
+          if(item[field] == null || item[field] === '' || ok(item[field])) return;
+          report.warnings.push(`${where}: ${message || `${field} "${item[field]}" is not valid`}, cleared.`);
+          item[field] = '';
+        };
+        for(const f of ['lat', 'lng']){
+          if(item[f] != null && !Number.isFinite(Number(item[f]))){ report.warnings.push(`${where}: ${f} "${item[f]}" is not a number, cleared.`); item[f] = null; }
+          else if(item[f] != null) item[f] = Number(item[f]);
+        }
+
+        if(key === 'players'){
+          if(item.handicap != null && item.handicap !== ''){
+            // '+2' written out, as players say it
+            const h = /^\s*\+/.test(item.handicap) ? -Number(String(item.handicap).replace('+', '')) : Number(item.handicap);
+            if(!Number.isFinite(h) || h < MIN_HANDICAP || h > MAX_HANDICAP){
+              report.warnings.push(`${where}: handicap "${item.handicap}" is not between +${-MIN_HANDICAP} and ${MAX_HANDICAP}, cleared.`);
+              item.handicap = null;
+            } else item.handicap = Math.round(h * 10) / 10;
+          } else item.handicap = null;
+          playerIds.add(item.id);
+        }
+
+        if(key === 'courses'){
+          const rounds = Math.round(Number(item.rounds) || 1);
+          if(rounds < 1 || rounds > MAX_ROUNDS) report.warnings.push(`${where}: ${item.rounds} rounds is out of range, set to ${Math.min(MAX_ROUNDS, Math.max(1, rounds))}.`);
+          item.rounds = Math.min(MAX_ROUNDS, Math.max(1, rounds));
+          const dates = Array.isArray(item.roundDates) ? item.roundDates : [];
+          item.roundDates = Array.from({ length: item.rounds }, (_, r) => {
+            const d = dates[r] == null ? '' : String(dates[r]);
+            if(d && !isIso(d)){ report.warnings.push(`${where}: round ${r + 1} date "${d}" is not a date, cleared.`); return ''; }
+            return d;
+          });
+          if(dates.slice(item.rounds).some(Boolean)) report.warnings.push(`${where}: more round dates than rounds, the extra dates were dropped.`);
+          if(item.osm != null && !Array.isArray(item.osm)) item.osm = [];
+          if(item.roundPlayers != null){
+            const picked = Array.isArray(item.roundPlayers) ? item.roundPlayers : [];
+            item.roundPlayers = Array.from({ length: item.rounds }, (_, r) =>
+              Array.isArray(picked[r]) ? knownPlayers(picked[r], `${where} round ${r + 1}`) : null);
+          }
+        }
+
+        if(key === 'stays'){
+          fix('startDate', isIso, `start date "${item.startDate}" is not a date`);
+          fix('endDate', isIso, `end date "${item.endDate}" is not a date`);
+          if(item.startDate && item.endDate && item.endDate <= item.startDate){
+            report.warnings.push(`${where}: ends before it starts, dates cleared.`);
+            item.startDate = item.endDate = '';
+          }
+          if(item.nights != null){
+            const n = Math.round(Number(item.nights));
+            item.nights = Number.isFinite(n) ? Math.min(MAX_NIGHTS, Math.max(1, n)) : 1;
+          }
+          if(item.rooms != null){
+            const rooms = Array.isArray(item.rooms) ? item.rooms.filter(isObj) : [];
+            if(rooms.length < (Array.isArray(item.rooms) ? item.rooms.length : 1)) report.warnings.push(`${where}: rooms that were not entries were skipped.`);
+            item.rooms = rooms.map((room, r) => ({
+              ...room,
+              id: String(room.id || `room_${r + 1}`),
+              name: typeof room.name === 'string' && room.name.trim() ? room.name : `Room ${r + 1}`,
+              players: knownPlayers(Array.isArray(room.players) ? room.players : [], `${where} ${room.name || `room ${r + 1}`}`)
+            }));
+          }
+        }
+
+        if(key === 'transport'){
+          if(!['car_hire', 'transfer'].includes(item.kind)) report.warnings.push(`${where}: unknown kind "${item.kind}", kept as it is.`);
+          ['startDate', 'endDate', 'outboundDate', 'returnDate'].forEach(f => fix(f, isIso, `${f} "${item[f]}" is not a date`));
+          ['startTime', 'endTime', 'outboundTime', 'returnTime'].forEach(f => fix(f, isTime, `${f} "${item[f]}" is not a 24 hour time`));
+        }
+
+        if(key === 'warmups'){
+          fix('date', isIso, `date "${item.date}" is not a date`);
+          fix('course', (id) => out.courses.some(c => c.id === String(id)), 'the course it is before is not in the basket');
+          item.course = item.course ? String(item.course) : '';
+        }
+
+        if(key === 'ledger'){
+          if(!LEDGER_KINDS.includes(item.kind)){
+            report.warnings.push(`${where}: unknown kind "${item.kind}", counted as other.`);
+            item.kind = 'other';
+          }
+          const amount = Number(item.amount);
+          if(!Number.isFinite(amount) || amount < 0){
+            report.warnings.push(`${where}: amount "${item.amount}" is not a cost, set to 0.`);
+            item.amount = 0;
+          } else item.amount = Math.round(amount * 100) / 100;
+          if(item.paidBy && !playerIds.has(String(item.paidBy))) report.warnings.push(`${where}: paid by a player who is not on the trip, cleared.`);
+          item.paidBy = item.paidBy && playerIds.has(String(item.paidBy)) ? String(item.paidBy) : '';
+          item.split = Array.isArray(item.split) ? knownPlayers(item.split, where) : null;
+          item.ref = isObj(item.ref) && item.ref.type && item.ref.id != null ? { ...item.ref, id: String(item.ref.id) } : null;
+        }
+        return [item];
+      });
+    }
+    return out;
+  };
+
+  const read = (raw) => {
+    const report = { from: null, errors: [], warnings: [] };
+    if(!isObj(raw)){
+      report.errors.push('This is not a trip basket: expected a JSON object with courses, stays and transport.');
+      return { basket: null, report };
+    }
+    const migrated = migrate(raw, report);
+    const basket = migrated && validate(migrated, report);
+    return { basket: report.errors.length ? null : basket, report };
+  };
+
+  const parseImport = (text) => {
+    let raw;
+    try{
+      raw = JSON.parse(String(text || ''));
+    } catch(e){
+      return { basket: null, report: { from: null, errors: [`The text is not valid JSON (${e.message}).`], warnings: [] } };
+    }
+    return read(raw);
+  };
+
+  const load = () => {
+    let raw = null;
+    try{ raw = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null'); } catch(e){}
+    if(raw == null) return empty();
+    const { basket, report } = read(raw);
+    if(report.errors.length || report.warnings.length) console.warn('Trip basket:', [...report.errors, ...report.warnings].join(' '));
+    // Keep a basket we cannot read, rather than let the next save overwrite it
+    if(!basket){
+      try{ localStorage.setItem(STORAGE_KEY + '_unreadable', JSON.stringify(raw)); } catch(e){}
+    }
+    return basket || empty();
+  };
+
+  const save = (b) => {
+    b.version = VERSION;
+    b.updatedAt = now();
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(b));
+  };
+
+  // --- Dataset ids ---
+
+  const fromDataset = (c) => !/^osm_/.test(c.id);
+
+  const reresolve = async (basket) => {
+    const result = { changed: [], missing: [] };
+    const data = window.GDB_DATA;
+    if(!data) return result;
+    const current = await data.loadDatasetVersion();
+    if(!current || basket.dataset?.version === current) return result;
+
+    const ours = basket.courses.filter(fromDataset);
+    if(ours.length){
+      const [summary] = await Promise.all([data.loadSummary(), data.loadAliases()]);
+      const byId = new Map(summary.map(s => [s.id, s]));
+      for(const c of ours){
+        if(byId.has(c.id)) continue;
+        const s = byId.get(data.resolveId(c.id)) || (c.osm || []).map(data.findByOsm).find(Boolean);
+        if(!s){ result.missing.push(c.name || c.id); continue; }
+        result.changed.push({ from: c.id, to: s.id, name: s.name });
+        (basket.ledger || []).forEach(e => { if(e.ref?.type === 'course' && e.ref.id === c.id) e.ref.id = s.id; });
+        (basket.warmups || []).forEach(w => { if(w.course === c.id) w.course = s.id; });
+        c.id = s.id;
+        c.name = s.name;
+        c.osm = s.osm;
+      }
+      // Two entries can become one course (a merge); keep the first
+      const seen = new Set();
+      basket.courses = basket.courses.filter(c => !seen.has(c.id) && seen.add(c.id));
+    }
+    basket.dataset = { ...basket.dataset, version: current };
+    return result;
+  };
+
+  window.GDB_BASKET = { STORAGE_KEY, VERSION, empty, load, save, parseImport, reresolve };
+})();
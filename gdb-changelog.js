@@ -0,0 +1,149 @@
+/* GDB build changelog
+Compares a new build against the previous gdb_courses_uk.json so editors can review a
+refresh before publishing.
+
+Matching is by course ID (stable through gdb_id_registry.json). A previous ID that now
+redirects through gdb_id_aliases_uk.json is reported as merged, not removed.
+
+Field changes are recorded as dotted paths, e.g. "address.city": { from, to }.
+A change from a known value to "unknown" or empty is also listed under lost_data, which
+is how an OSM edit that wiped good data shows up.
+*/
+
+export const CHANGELOG_SCHEMA = "gdb_changelog_v1";
+
+// Fields compared per course, scalars and objects are flattened into dotted paths
+const TRACKED_FIELDS = [
+  "name",
+  "kind",
+  "nation",
+  "address",
+  "links",
+  "holes",
+  "par",
+  "course_type",
+  "access",
+  "vibe",
+  "dress_code",
+  "difficulty",
+  "facilities",
+  "extras",
+  "price_band",
+];
+
+// Coordinates move a little on most OSM edits, only report real moves
+const GEO_MOVE_KM = 0.1;
+
+function isBlank(v) {
+  if (v == null || v === "" || v === "unknown") return true;
+  if (Array.isArray(v)) return v.length === 0 || v.every(isBlank);
+  return false;
+}
+
+function flatten(value, prefix, out) {
+  const isTagList = Array.isArray(value) && value.every((x) => typeof x !== "object" || x === null);
+  if (value && typeof value === "object" && !isTagList) {
+    if (Array.isArray(value)) {
+      out[prefix] = JSON.stringify(value);
+      return out;
+    }
+    for (const k of Object.keys(value)) flatten(value[k], prefix + "." + k, out);
+    return out;
+  }
+  out[prefix] = isTagList ? [...value].sort() : value;
+  return out;
+}
+
+function flatFields(c) {
+  const out = {};
+  for (const f of TRACKED_FIELDS) flatten(c[f], f, out);
+  return out;
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+function havKm(aLat, aLng, bLat, bLng) {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(bLat - aLat);
+  const dLng = toRad(bLng - aLng);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(aLat)) * Math.cos(toRad(bLat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+function diffCourse(prev, next) {
+  const a = flatFields(prev);
+  const b = flatFields(next);
+  const fields = {};
+  const lost = [];
+  for (const k of [...new Set([...Object.keys(a), ...Object.keys(b)])].sort()) {
+    if (same(a[k], b[k])) continue;
+    fields[k] = { from: a[k] ?? null, to: b[k] ?? null };
+    if (!isBlank(a[k]) && isBlank(b[k])) lost.push(k);
+  }
+
+  const pg = prev.geo, ng = next.geo;
+  if (pg && ng && havKm(pg.lat, pg.lng, ng.lat, ng.lng) > GEO_MOVE_KM) {
+    fields.geo = { from: pg, to: ng };
+  }
+  return { fields, lost };
+}
+
+/**
+ * previous: parsed gdb_courses_uk.json from the last build, or null on a first build
+ * courses:  the new course list
+ * aliases:  retired ID -> current ID map from the registry
+ */
+export function buildChangelog(previous, courses, aliases = {}, generatedUtc = null) {
+  const prevCourses = previous?.courses || [];
+  const prevById = new Map(prevCourses.map((c) => [c.id, c]));
+  const nextById = new Map(courses.map((c) => [c.id, c]));
+
+  const added = [];
+  const removed = [];
+  const merged = [];
+  const renamed = [];
+  const changed = [];
+  const lostData = [];
+
+  for (const c of courses) {
+    const p = prevById.get(c.id);
+    if (!p) { added.push({ id: c.id, name: c.name }); continue; }
+
+    const { fields, lost } = diffCourse(p, c);
+    if (fields.name) renamed.push({ id: c.id, from: p.name, to: c.name });
+    if (Object.keys(fields).length) changed.push({ id: c.id, name: c.name, fields });
+    if (lost.length) lostData.push({ id: c.id, name: c.name, fields: lost });
+  }
+
+  for (const p of prevCourses) {
+    if (nextById.has(p.id)) continue;
+    const into = aliases[p.id];
+    if (into && nextById.has(into)) merged.push({ from: p.id, into, name: p.name });
+    else removed.push({ id: p.id, name: p.name });
+  }
+
+  const summary = {
+    previous_generated_utc: previous?.generated_utc || null,
+    first_build: !previous,
+    courses_before: prevCourses.length,
+    courses_after: courses.length,
+    added: added.length,
+    removed: removed.length,
+    merged: merged.length,
+    renamed: renamed.length,
+    changed: changed.length,
+    lost_data: lostData.length,
+  };
+
+  return {
+    schema_version: CHANGELOG_SCHEMA,
+    generated_utc: generatedUtc,
+    summary,
+    added,
+    removed,
+    merged,
+    renamed,
+    lost_data: lostData,
+    changed,
+  };
+}
@@ -0,0 +1,175 @@
+/* GDB tag classifier
+Runs the declarative rules in gdb_classifier_rules.json that turn OSM tags into the course
+tags the site filters on (course_type, access, dress_code, price_band, difficulty). Every tag
+comes out with the rule that produced it and how far that rule is trusted, so the pages can
+tell a tag read from the club's own data from a guess.
+
+  loadRules(file)                       parsed and compiled rules (default gdb_classifier_rules.json)
+  classifyField(rules, field, input)    { tags, sources: { tag: { rule, confidence, unverified? } } }
+  classifyAll(rules, input)             { tags: { field: [tag] }, classification: { field: sources } }
+  manualClassification(cls, set)        cls with the fields an editor set marked as checked
+
+input: { tags, name, holes, main: { count, par, lengthM }, country, greenFees } (country from
+gdb-countries.js; greenFees is the record's green_fees, parsed from tags when left out)
+
+Rules file:
+  unverified_below   tags with a lower confidence are flagged unverified: shown as such on
+                     cards and ignored by the search filters
+  fields.<field>:
+    text       tag keys read as the field's text, lowercased and joined; "name" is the course name
+    numbers    { fact: regex } numbers captured from that text (first group), e.g. a handicap limit
+    mode       "first": the first rule that matches decides; "all": every matching rule adds its tags
+    rules      [{ id, when, tags, confidence, note }]
+    fallback   { id, tags, confidence } when no rule matches
+
+Conditions in "when" must all hold:
+  text: regex            matches the field's text          name: regex    matches the course name
+  tag: { key: value }    the OSM tag equals the value (or one of a list of values)
+  fee_band: band         the course's cheapest standard green fee falls in that band of its currency
+  <fact>: { min, max, under }   a number is present and within bounds (max inclusive, under not);
+                         facts: fee, handicap (or any in numbers), holes, length_per18, par_per18
+  any: [conditions]      at least one holds              not: condition    does not hold
+*/
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { COUNTRIES } from "./gdb-countries.js";
+import { feeBand, parseGreenFees } from "./gdb-green-fees.js";
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+
+export const RULES_SCHEMA = "gdb_classifier_rules_v1";
+export const RULES_FILE = path.join(HERE, "gdb_classifier_rules.json");
+export const CLASSIFIED_FIELDS = ["course_type", "access", "dress_code", "price_band", "difficulty"];
+
+function compileWhen(when, where) {
+  const out = { ...when };
+  for (const k of ["text", "name"]) {
+    if (when[k] == null) continue;
+    try {
+      out[k] = new RegExp(when[k]);
+    } catch (e) {
+      throw new Error(`${where}: bad ${k} pattern ${JSON.stringify(when[k])}: ${e.message}`);
+    }
+  }
+  if (when.any) out.any = when.any.map((w, i) => compileWhen(w, `${where}.any[${i}]`));
+  if (when.not) out.not = compileWhen(when.not, `${where}.not`);
+  return out;
+}
+
+export function loadRules(file = RULES_FILE) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (raw.schema_version !== RULES_SCHEMA) throw new Error(`${file}: expected schema_version ${RULES_SCHEMA}`);
+  const fields = {};
+  for (const [field, f] of Object.entries(raw.fields || {})) {
+    const ids = new Set();
+    fields[field] = {
+      ...f,
+      numbers: Object.entries(f.numbers || {}).map(([fact, re]) => [fact, new RegExp(re)]),
+      rules: (f.rules || []).map((r, i) => {
+        if (!r.id || ids.has(r.id)) throw new Error(`${file}: ${field} rule ${i} needs a unique id`);
+        ids.add(r.id);
+        return { ...r, when: compileWhen(r.when || {}, `${file}: ${r.id}`) };
+      }),
+    };
+  }
+  return { file, unverifiedBelow: raw.unverified_below ?? 0.5, fields };
+}
+
+let defaultRules = null;
+const rulesOrDefault = (rules) => rules || (defaultRules ||= loadRules());
+
+function fieldText(f, input) {
+  return (f.text || []).map((k) => (k === "name" ? input.name : input.tags?.[k]) || "").join(" ").toLowerCase();
+}
+
+// The numbers rules can test, for one field
+function facts(f, input, text) {
+  const out = {};
+  // The course's green fee model (gdb-green-fees.js), read from the tags when not given
+  const fees = input.greenFees !== undefined ? input.greenFees : parseGreenFees(input.tags, input.country || COUNTRIES.uk);
+  if (fees?.from != null) {
+    out.fee = fees.from;
+    out.fee_band = feeBand(fees);
+  }
+  for (const [fact, re] of f.numbers) {
+    const m = text.match(re);
+    if (m) out[fact] = Number(m[1]);
+  }
+  const main = input.main || {};
+  if (input.holes) out.holes = input.holes;
+  if (main.count && main.lengthM) out.length_per18 = (main.lengthM * 18) / main.count;
+  if (main.count && main.par) out.par_per18 = (main.par * 18) / main.count;
+  return out;
+}
+
+function holds(when, ctx) {
+  for (const [k, v] of Object.entries(when)) {
+    if (k === "text") { if (!v.test(ctx.text)) return false; }
+    else if (k === "name") { if (!v.test(ctx.name)) return false; }
+    else if (k === "tag") {
+      for (const [tag, want] of Object.entries(v)) {
+        const have = String(ctx.tags[tag] || "").toLowerCase();
+        if (!(Array.isArray(want) ? want : [want]).includes(have)) return false;
+      }
+    }
+    else if (k === "fee_band") { if (ctx.facts.fee_band !== v) return false; }
+    else if (k === "any") { if (!v.some((w) => holds(w, ctx))) return false; }
+    else if (k === "not") { if (holds(v, ctx)) return false; }
+    else {
+      const n = ctx.facts[k];
+      if (n == null) return false;
+      if (v.min != null && n < v.min) return false;
+      if (v.max != null && n > v.max) return false;
+      if (v.under != null && n >= v.under) return false;
+    }
+  }
+  return true;
+}
+
+export function classifyField(rules, field, input) {
+  const r = rulesOrDefault(rules);
+  const f = r.fields[field];
+  if (!f) throw new Error("No classifier rules for " + field);
+  const text = fieldText(f, input);
+  const ctx = { text, name: String(input.name || "").toLowerCase(), tags: input.tags || {}, facts: facts(f, input, text) };
+
+  const sources = {};
+  const add = (rule) => {
+    for (const tag of rule.tags) {
+      if (sources[tag] && sources[tag].confidence >= rule.confidence) continue;
+      sources[tag] = { rule: rule.id, confidence: rule.confidence };
+      if (rule.confidence < r.unverifiedBelow) sources[tag].unverified = true;
+    }
+  };
+  for (const rule of f.rules) {
+    if (!holds(rule.when, ctx)) continue;
+    add(rule);
+    if (f.mode !== "all") break;
+  }
+  if (!Object.keys(sources).length && f.fallback) add(f.fallback);
+  return { tags: Object.keys(sources), sources };
+}
+
+export function classifyAll(rules, input) {
+  const tags = {};
+  const classification = {};
+  for (const field of CLASSIFIED_FIELDS) {
+    const out = classifyField(rules, field, input);
+    tags[field] = out.tags;
+    classification[field] = out.sources;
+  }
+  return { tags, classification };
+}
+
+// An editor's value is a fact: confidence 1, whatever the rules said
+export function manualClassification(classification, set) {
+  if (!classification) return classification;
+  const out = { ...classification };
+  for (const field of CLASSIFIED_FIELDS) {
+    if (!Array.isArray(set?.[field])) continue;
+    out[field] = Object.fromEntries(set[field].map((tag) => [tag, { rule: "override", confidence: 1 }]));
+  }
+  return out;
+}
@@ -0,0 +1,123 @@
+/* GDB compare (browser)
+Data side of the compare view on search-courses.html: one aligned row per field across the
+compared courses, with rows whose values differ flagged, plus CSV export and handing the set
+to the trip planner basket.
+
+  GDB_COMPARE.buildRows(courses, { origin })   [{ key, label, group, values:[text], differs }]
+  GDB_COMPARE.toCsv(courses, rows)             CSV text, one column per course
+  GDB_COMPARE.addToTripBasket(courses)         Promise { added, updated }, into the trip basket (gdb-basket.js)
+
+Courses are the search page's normalised records plus the raw address; green fees are read
+through gdb-fees.js and distances through gdb-data.js, both loaded before this file. origin is
+{ label, lat, lng } for the distance row, or null to leave the row out.
+Facilities get a row each (Yes or No), so a missing bar lines up against the others.
+*/
+(() => {
+  const UNKNOWN = 'Unknown';
+
+  const titleCase = (x) => String(x || '').replace(/_/g, ' ').trim().replace(/\b\w/g, ch => ch.toUpperCase());
+  const known = (v) => v != null && String(v).trim() !== '' && String(v).trim().toLowerCase() !== 'unknown';
+  const list = (arr, label = titleCase) => Array.isArray(arr) && arr.length ? arr.map(label).join(', ') : UNKNOWN;
+
+  const ACCESS = { public:'Public', visitors:'Visitors welcome', members_only:'Members only' };
+  // Keyed on the facility values build-gdb-uk.js emits (computeFacilities), in row order
+  const FACILITIES = {
+    driving_range:'Driving range', practice_area:'Practice areas', buggy_hire:'Buggy hire', trolley_hire:'Trolley hire',
+    club_hire:'Clubs for hire', restaurant:'Restaurant', cafe:'Cafe', bar:'Bar', pro_shop:'Pro shop'
+  };
+  const label = (map) => (x) => map[x] || titleCase(x);
+
+  // Every rate of the green fee model (gdb-fees.js), so weekday against weekday lines up by eye
+  const feeText = (fees) => {
+    const rows = window.GDB_FEES.rows(fees);
+    return rows.length ? rows.map(r => `${r.label} ${r.price}`).join('; ') : UNKNOWN;
+  };
+
+  const lengthText = (m) => m ? `${m.toLocaleString('en-GB')} m (${Math.round(m / 0.9144).toLocaleString('en-GB')} yd)` : UNKNOWN;
+
+  // Text cells only; the view adds links and scorecards itself
+  const FIELDS = [
+    { key:'town', label:'Town', value:(c) => known(c.city) ? c.city : UNKNOWN },
+    { key:'county', label:'County', value:(c) => known(c.address?.county) ? c.address.county : UNKNOWN },
+    { key:'postcode', label:'Postcode', value:(c) => known(c.address?.postcode) ? c.address.postcode : UNKNOWN },
+    { key:'holes', label:'Holes', value:(c) => c.holes ? String(c.holes) + (c.isVenue ? ` (${c.layouts.length} courses)` : '') : UNKNOWN },
+    { key:'courses', label:'Courses', value:(c) => c.isVenue ? c.layouts.map(l => `${l.label || 'Course'}: ${l.holes}`).join('; ') : '–' },
+    { key:'par', label:'Par', value:(c) => known(c.par) ? String(c.par) : UNKNOWN },
+    { key:'length', label:'Length', value:(c) => lengthText(c.lengthM) },
+    { key:'access', label:'Access', value:(c) => ACCESS[c.access] || UNKNOWN },
+    { key:'price_band', label:'Price band', value:(c) => known(c.price_band) ? titleCase(c.price_band) : UNKNOWN },
+    { key:'green_fee', label:'Green fee', value:(c) => feeText(c.fees) },
+    { key:'difficulty', label:'Difficulty', value:(c) => list(c.difficulty, label({ medium:'Intermediate' })) },
+    { key:'dress_code', label:'Dress code', value:(c) => list(c.dress_code, label({ smart_casual:'Smart casual' })) },
+    { key:'vibe', label:'Vibe', value:(c) => list(c.vibe) },
+    { key:'course_type', label:'Course type', value:(c) => list(c.course_type) },
+    { key:'website', label:'Website', value:(c) => c.website && /^https?:\/\//i.test(c.website) ? c.website : UNKNOWN }
+  ];
+
+  const sameText = (values) => new Set(values.map(v => String(v).trim().toLowerCase())).size <= 1;
+
+  const buildRows = (courses, { origin } = {}) => {
+    const rows = FIELDS.map(f => {
+      const values = courses.map(c => f.value(c));
+      return { key:f.key, label:f.label, group:'Course', values, differs:!sameText(values) };
+    });
+
+    if(origin && Number.isFinite(origin.lat) && Number.isFinite(origin.lng)){
+      const values = courses.map(c => {
+        const km = window.GDB_DATA.havKm(origin.lat, origin.lng, c.lat, c.lng);
+        return `${km.toFixed(1)} km (${(km / 1.609344).toFixed(1)} mi)`;
+      });
+      rows.push({ key:'distance', label:`Distance from ${origin.label || 'origin'}`, group:'Course', values, differs:!sameText(values) });
+    }
+
+    // Every facility any of them has, then the known list order
+    const present = new Set(courses.flatMap(c => Array.isArray(c.facilities) ? c.facilities : []));
+    const order = [...Object.keys(FACILITIES).filter(k => present.has(k)), ...[...present].filter(k => !FACILITIES[k]).sort()];
+    for(const key of order){
+      const values = courses.map(c => (c.facilities || []).includes(key) ? 'Yes' : 'No');
+      rows.push({ key:'facility:' + key, label:label(FACILITIES)(key), group:'Facilities', values, differs:!sameText(values) });
+    }
+    if(!order.length) rows.push({ key:'facilities', label:'Facilities', group:'Facilities', values:courses.map(() => UNKNOWN), differs:false });
+    return rows;
+  };
+
+  const csvCell = (v) => /[",\n\r]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+
+  const toCsv = (courses, rows) => {
+    const lines = [['Field', ...courses.map(c => c.name || c.id)], ['ID', ...courses.map(c => c.id)], ...rows.map(r => [r.group === 'Facilities' ? 'Facility: ' + r.label : r.label, ...r.values])];
+    // CRLF and a byte order mark so spreadsheet apps open it as UTF-8
+    return '\uFEFF' + lines.map(cells => cells.map(csvCell).join(',')).join('\r\n') + '\r\n';
+  };
+
+  // Same shape plan-golf-trip.html gives courses it finds itself
+  const plannerAccess = (a) => a === 'members_only' ? 'members' : a === 'public' ? 'public' : 'visitor';
+  const osmRefs = (c) => [c.source?.osm, ...(c.source?.merged_osm || [])].filter(o => o && o.type && o.id != null).map(o => o.type + '/' + o.id);
+
+  const addToTripBasket = async (courses) => {
+    const B = window.GDB_BASKET;
+    const basket = B.load();
+    // Bring ids already in the basket up to this build before stamping it with its version
+    await B.reresolve(basket);
+
+    let added = 0, updated = 0;
+    for(const c of courses){
+      const item = {
+        id:String(c.id), name:c.name || '', place:known(c.city) ? c.city : '',
+        lat:c.lat, lng:c.lng, holes:c.holes || null, access:plannerAccess(c.access),
+        website:c.website || '', isResort:false, osm:osmRefs(c)
+      };
+      const i = basket.courses.findIndex(x => x.id === item.id);
+      if(i === -1){
+        basket.courses.push({ ...item, rounds:1, roundDates:[''] });
+        added++;
+      } else {
+        basket.courses[i] = { ...basket.courses[i], ...item };
+        updated++;
+      }
+    }
+    B.save(basket);
+    return { added, updated };
+  };
+
+  window.GDB_COMPARE = { FIELDS, buildRows, toCsv, addToTripBasket };
+})();
@@ -0,0 +1,183 @@
+/* GDB countries
+What build-gdb-uk.js needs to know about each country it can build. Pick one with
+--country <code>; each country is a separate build with its own files, id registry and cache.
+
+  code            "uk", also the file suffix: gdb_courses_<code>.json, gdb_tiles_<code>.json, ...
+  iso             ISO 3166-1 code the Overpass area is looked up by
+  name            address.country when OSM and Nominatim give none
+  idPrefix        course ids are <idPrefix><slug>, and the schema only accepts ids with it
+  bounds          [west, south, east, north] every course point must be inside, islands included
+  schemaVersion   schema_version of the dataset files; the UK keeps gdb_courses_uk_v1
+  regions         first-level regions in shard order; a record's "nation" is one of their keys.
+                  match lists lowercase, accent-free words looked for in the address
+  matchOrder      region keys in the order they are tried, when that is not the shard order
+  defaultRegion   region for an address that matches none
+  postcode        { pattern, terms(pc) }: what a valid postcode looks like (the purity pass and
+                  the schema both use it) and the search index terms for one
+  currency        { code, amounts(text), bands:[value, mid, premium] }: green fee amounts in a
+                  description and the top of each price band, in that currency
+  defaults        default paths for the country's overrides, id registry, stage cache and reports
+
+Region matching is by words in the address state, county and country fields, after
+accents are removed (so "Andalucía" and "Andalucia" match alike). The first region in
+matchOrder with a match wins, so regions whose words turn up inside others come last.
+
+gdb_countries.json in the output directory lists the countries built there, see emitStage().
+*/
+
+import { postcodeTerms as ukPostcodeTerms } from "./gdb-search-index.js";
+
+export const foldAccents = (s) => String(s || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+
+// --- Postcodes ---
+
+// "8135-162": whole and the 4-digit area
+function ptPostcodeTerms(pc) {
+  const s = pc.replace(/[^0-9]/g, "");
+  return s.length === 7 ? [s, s.slice(0, 4)] : s ? [s] : [];
+}
+
+// "29660": whole and the 2-digit province
+function esPostcodeTerms(pc) {
+  const s = pc.replace(/[^0-9]/g, "");
+  return s.length === 5 ? [s, s.slice(0, 2)] : s ? [s] : [];
+}
+
+// --- Green fee amounts ---
+
+// "£45", "£ 45"
+const poundAmounts = (s) => [...s.matchAll(/£\s*([0-9]{1,3})/g)].map((m) => Number(m[1]));
+
+// "€45", "45 €", "45€", "45 eur", "45 euros"
+const euroAmounts = (s) =>
+  [...s.matchAll(/€\s*([0-9]{1,3})\b|\b([0-9]{1,3})(?:[.,]\d{2})?\s*(?:€|eur\b|euros?\b)/g)].map((m) => Number(m[1] || m[2]));
+
+// --- Countries ---
+
+const UK = {
+  code: "uk",
+  iso: "GB",
+  name: "UK",
+  idPrefix: "uk_",
+  bounds: [-8.8, 49.5, 2, 61],
+  schemaVersion: "gdb_courses_uk_v1",
+  regions: [
+    { key: "england", match: ["england"] },
+    { key: "scotland", match: ["scotland"] },
+    { key: "wales", match: ["wales"] },
+    { key: "northern_ireland", match: ["northern ireland"] },
+  ],
+  // Scotland, Wales and Northern Ireland are checked before England, as they always were
+  matchOrder: ["scotland", "wales", "northern_ireland", "england"],
+  defaultRegion: "england",
+  postcode: { pattern: "^[A-Z]{1,2}\\d[A-Z\\d]? ?\\d[A-Z]{2}$", terms: ukPostcodeTerms },
+  currency: { code: "GBP", amounts: poundAmounts, bands: [25, 50, 90] },
+  defaults: {
+    overrides: "./overrides.json",
+    registry: "./gdb_id_registry.json",
+    cacheDir: "./build_cache",
+    reportDir: "./enrichment/reports",
+  },
+};
+
+const PT = {
+  code: "pt",
+  iso: "PT",
+  name: "Portugal",
+  idPrefix: "pt_",
+  // Mainland, Madeira and the Azores
+  bounds: [-31.5, 30, -6.1, 42.2],
+  schemaVersion: "gdb_courses_pt_v1",
+  // NUTS II regions, matched by their name or by district (Nominatim's state for the mainland)
+  regions: [
+    { key: "algarve", match: ["algarve", "faro"] },
+    { key: "lisbon", match: ["lisboa", "lisbon", "setubal"] },
+    { key: "north", match: ["norte", "porto", "braga", "viana do castelo", "vila real", "braganca"] },
+    { key: "centre", match: ["centro", "coimbra", "leiria", "aveiro", "viseu", "guarda", "castelo branco", "santarem"] },
+    { key: "alentejo", match: ["alentejo", "evora", "beja", "portalegre"] },
+    { key: "madeira", match: ["madeira"] },
+    { key: "azores", match: ["acores", "azores"] },
+  ],
+  // Islands first: their municipalities share names with mainland districts
+  matchOrder: ["madeira", "azores", "algarve", "lisbon", "alentejo", "centre", "north"],
+  defaultRegion: "lisbon",
+  postcode: { pattern: "^\\d{4}-\\d{3}$", terms: ptPostcodeTerms },
+  currency: { code: "EUR", amounts: euroAmounts, bands: [40, 80, 130] },
+  defaults: {
+    overrides: "./overrides_pt.json",
+    registry: "./gdb_id_registry_pt.json",
+    cacheDir: "./build_cache/pt",
+    reportDir: "./enrichment/reports/pt",
+  },
+};
+
+const ES = {
+  code: "es",
+  iso: "ES",
+  name: "Spain",
+  idPrefix: "es_",
+  // Mainland, the Balearics and the Canaries
+  bounds: [-18.3, 27.5, 4.4, 43.9],
+  schemaVersion: "gdb_courses_es_v1",
+  // Autonomous communities, under their Spanish, Catalan, Basque, Galician and English names
+  regions: [
+    { key: "andalusia", match: ["andalucia", "andalusia"] },
+    { key: "valencia", match: ["comunitat valenciana", "comunidad valenciana", "valencian community", "valencia", "alicante", "castellon"] },
+    { key: "catalonia", match: ["catalunya", "cataluna", "catalonia"] },
+    { key: "balearic_islands", match: ["illes balears", "islas baleares", "balearic islands", "balears", "baleares"] },
+    { key: "canary_islands", match: ["canarias", "canary islands"] },
+    { key: "murcia", match: ["region de murcia", "murcia"] },
+    { key: "madrid", match: ["comunidad de madrid", "madrid"] },
+    { key: "basque_country", match: ["pais vasco", "euskadi", "basque country"] },
+    { key: "navarre", match: ["navarra", "nafarroa", "navarre"] },
+    { key: "galicia", match: ["galicia"] },
+    { key: "asturias", match: ["asturias"] },
+    { key: "cantabria", match: ["cantabria"] },
+    { key: "castile_and_leon", match: ["castilla y leon", "castile and leon"] },
+    { key: "castile_la_mancha", match: ["castilla-la mancha", "castilla la mancha", "castile-la mancha"] },
+    { key: "aragon", match: ["aragon"] },
+    { key: "la_rioja", match: ["la rioja"] },
+    { key: "extremadura", match: ["extremadura"] },
+    { key: "ceuta_melilla", match: ["ceuta", "melilla"] },
+  ],
+  // Communities before the provinces and cities that share a name with another's
+  matchOrder: [
+    "andalusia", "catalonia", "balearic_islands", "canary_islands", "basque_country", "navarre", "galicia",
+    "asturias", "cantabria", "castile_and_leon", "castile_la_mancha", "aragon", "la_rioja", "extremadura",
+    "ceuta_melilla", "murcia", "valencia", "madrid",
+  ],
+  defaultRegion: "andalusia",
+  postcode: { pattern: "^(0[1-9]|[1-4]\\d|5[0-2])\\d{3}$", terms: esPostcodeTerms },
+  currency: { code: "EUR", amounts: euroAmounts, bands: [40, 80, 130] },
+  defaults: {
+    overrides: "./overrides_es.json",
+    registry: "./gdb_id_registry_es.json",
+    cacheDir: "./build_cache/es",
+    reportDir: "./enrichment/reports/es",
+  },
+};
+
+export const COUNTRIES = { uk: UK, pt: PT, es: ES };
+export const DEFAULT_COUNTRY = "uk";
+
+export function countryConfig(code = DEFAULT_COUNTRY) {
+  const c = COUNTRIES[String(code).toLowerCase()];
+  if (!c) throw new Error(`Unknown country "${code}", expected one of ${Object.keys(COUNTRIES).join(", ")}`);
+  return c;
+}
+
+// Output file for a country: dataFile(pt, "courses") -> "gdb_courses_pt.json"
+export const dataFile = (country, stem, ext = "json") => `gdb_${stem}_${country.code}.${ext}`;
+
+export function regionFromAddress(addr, country = UK) {
+  const text = ["state", "county", "country"].map((k) => foldAccents(addr?.[k]).toLowerCase()).join(" | ");
+  const byKey = new Map(country.regions.map((r) => [r.key, r]));
+  for (const key of country.matchOrder || country.regions.map((r) => r.key)) {
+    if (byKey.get(key).match.some((w) => new RegExp(`(^|[^a-z])${w}($|[^a-z])`).test(text))) return key;
+  }
+  return country.defaultRegion;
+}
+
+export function postcodeLooksValid(pc, country = UK) {
+  return new RegExp(country.postcode.pattern).test(String(pc || "").trim().toUpperCase());
+}
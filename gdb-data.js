@@ -0,0 +1,379 @@
+/* GDB data loader (browser)
+Loads the builder output from ./data for the site pages, so the search page and the
+course detail page read the dataset the same way. Each file is fetched once per page.
+
+  GDB_DATA.loadCountries()       [{ code, name, files, ... }] from data/gdb_countries.json, [uk] without one
+  GDB_DATA.loadCoursesIn(bbox)   courses in the tiles overlapping [west, south, east, north]
+  GDB_DATA.loadCoursesById(ids)  the tiles holding these courses, returns the courses found
+  GDB_DATA.loadSummary()         every course as { id, name, lat, lng, osm, country }, without full records
+  GDB_DATA.findByOsm(ref)        summary entry of the course built from OSM element "way/123" (after loadSummary)
+  GDB_DATA.loadCourses()         every course, from each country's gdb_courses_<code>.json (large)
+  GDB_DATA.loadRanges()          every driving range, from each country's gdb_driving_ranges_<code>.json
+  GDB_DATA.loadRangesNear(point, km)  driving ranges within km of { lat, lng }, nearest first, each with distanceKm
+  GDB_DATA.loadAliases()         retired id -> current id, from each country's gdb_id_aliases_<code>.json
+  GDB_DATA.loadDatasetVersion()  the build version from the tile manifests, null without any
+  GDB_DATA.loadOutlines()        Map id -> GeoJSON geometry; with tiles it fills as tiles load
+  GDB_DATA.resolveId(id)         current id for a retired one (after loadAliases)
+  GDB_DATA.findCourse(id)        { status: 'found' | 'moved' | 'not_found', course, id, requested }
+  GDB_DATA.havKm(lat1, lng1, lat2, lng2)  great-circle distance in km, for the modules loaded after this one
+  GDB_DATA.searchCourses(q)      name, town, county and postcode search over each country's
+                                 gdb_search_index_<code>.json, with prefix matching and typo tolerance
+                                 ("ashrige", "asridge" and "ashirdge" all find Ashridge, "ashri" starts it)
+
+Every country in gdb_countries.json (written by build-gdb-uk.js) is loaded side by side; a
+data directory without one is the UK alone, as before countries were added. Course ids carry
+their country's prefix, so ids never clash between countries.
+
+Tiles come from each country's gdb_tiles_<code>.json (see gdb-tiles.js). Tile and summary
+files have content-hashed names, so they are kept in IndexedDB and only fetched once per
+build version. A country without a manifest falls back to its full gdb_courses_<code>.json.
+
+Aliases, outlines and driving ranges are optional files: when missing they load as empty.
+Ranges are few and small, so each country's file is loaded whole rather than tiled.
+*/
+(() => {
+  const DATA_DIR = 'data/';
+  const loaded = {};
+
+  const fetchJson = async (file) => {
+    const res = await fetch(DATA_DIR + file, {cache:'no-store'});
+    if(!res.ok) throw new Error(file + ' ' + res.status);
+    return res.json();
+  };
+
+  // One request per file, shared by every caller on the page
+  const once = (key, load) => {
+    if(!loaded[key]) loaded[key] = load().catch(e => { delete loaded[key]; throw e; });
+    return loaded[key];
+  };
+
+  let aliases = {};
+  const byId = new Map();
+  const outlines = new Map();
+
+  const hasGeo = (x) => x && x.geo && Number.isFinite(x.geo.lat) && Number.isFinite(x.geo.lng);
+
+  // --- Countries ---
+
+  const loadCountries = () => once('countries', async () => {
+    try{
+      const json = await fetchJson('gdb_countries.json');
+      const list = Object.entries(json.countries || {}).map(([code, c]) => ({ ...c, code }));
+      if(list.length) return list;
+    } catch(e){}
+    return [{ code:'uk', name:'UK' }];
+  });
+
+  // A country's file, as listed in gdb_countries.json or by the builder's naming. The keys are
+  // those of files in writeCountryIndex() (build-gdb-uk.js); two name their file differently
+  const FILE_STEMS = { aliases:'id_aliases', geometry:'course_geometry' };
+  const countryFile = (country, key) => (country.files && country.files[key]) || `gdb_${FILE_STEMS[key] || key}_${country.code}.json`;
+
+  // Runs load for every country and flattens what they return
+  const eachCountry = async (load) => (await Promise.all((await loadCountries()).map(load))).flat();
+
+  const loadCountryCourses = (country) => once('courses:' + country.code, async () => {
+    const json = await fetchJson(countryFile(country, 'courses'));
+    const courses = (json.courses || []).filter(hasGeo);
+    courses.forEach(c => byId.set(c.id, c));
+    return courses;
+  });
+
+  const loadCourses = () => once('courses', () => eachCountry(loadCountryCourses));
+
+  // --- Driving ranges ---
+
+  const loadRanges = () => once('ranges', () => eachCountry(async (country) => {
+    try{
+      return ((await fetchJson(countryFile(country, 'driving_ranges'))).driving_ranges || []).filter(hasGeo);
+    } catch(e){
+      return [];
+    }
+  }));
+
+  const havKm = (lat1, lng1, lat2, lng2) => {
+    const R = 6371;
+    const toRad = (d) => d * Math.PI / 180;
+    const a = Math.sin(toRad(lat2 - lat1) / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(toRad(lng2 - lng1) / 2) ** 2;
+    return 2 * R * Math.asin(Math.min(1, Math.sqrt(a)));
+  };
+
+  const loadRangesNear = async (point, km) => {
+    const lat = Number(point?.lat), lng = Number(point?.lng);
+    if(!Number.isFinite(lat) || !Number.isFinite(lng)) return [];
+    return (await loadRanges())
+      .map(r => ({ ...r, distanceKm:havKm(lat, lng, r.geo.lat, r.geo.lng) }))
+      .filter(r => r.distanceKm <= km)
+      .sort((a, b) => a.distanceKm - b.distanceKm);
+  };
+
+  // --- Tile cache (IndexedDB) ---
+  // Records are keyed by file name, which carries its content hash, plus one record
+  // holding the build version they belong to. A new version drops the files it no longer lists.
+
+  const DB_STORE = 'files';
+  const VERSION_KEY = '@version';
+
+  const openDb = () => once('db', () => new Promise((resolve) => {
+    if(!window.indexedDB) return resolve(null);
+    const req = indexedDB.open('gdb_data', 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(DB_STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => resolve(null);
+  }));
+
+  // One transaction; resolves with the request's result, or undefined when storage is unavailable
+  const idb = async (mode, run) => {
+    const db = await openDb();
+    if(!db) return undefined;
+    return new Promise((resolve) => {
+      try{
+        const tx = db.transaction(DB_STORE, mode);
+        const req = run(tx.objectStore(DB_STORE));
+        tx.oncomplete = () => resolve(req ? req.result : undefined);
+        tx.onerror = tx.onabort = () => resolve(undefined);
+      } catch(e){
+        resolve(undefined);
+      }
+    });
+  };
+
+  // The cache holds every country's files, so it is pruned against all of their manifests at once
+  const pruneCache = async (manifests, version) => {
+    if(await idb('readonly', st => st.get(VERSION_KEY)) === version) return;
+    const keep = new Set(manifests.flatMap(m => [m.summary, ...Object.values(m.tiles || {}).map(t => t.file)]));
+    const keys = (await idb('readonly', st => st.getAllKeys())) || [];
+    await idb('readwrite', st => {
+      keys.filter(k => k !== VERSION_KEY && !keep.has(k)).forEach(k => st.delete(k));
+      return st.put(version, VERSION_KEY);
+    });
+  };
+
+  // Hashed files never change, so the browser cache and IndexedDB can both keep them
+  const loadHashed = async (file) => {
+    const cached = await idb('readonly', st => st.get(file));
+    if(cached) return cached;
+    const res = await fetch(DATA_DIR + file);
+    if(!res.ok) throw new Error(file + ' ' + res.status);
+    const json = await res.json();
+    idb('readwrite', st => st.put(json, file));
+    return json;
+  };
+
+  // --- Tiles (manifests written by gdb-tiles.js) ---
+
+  // Map country code -> its manifest, or null for a country without tiles
+  const loadManifests = () => once('manifests', async () => {
+    const countries = await loadCountries();
+    const manifests = await Promise.all(countries.map(c => fetchJson(countryFile(c, 'tiles')).catch(() => null)));
+    const found = manifests.filter(Boolean);
+    if(found.length) await pruneCache(found, found.map(m => m.version).join('+'));
+    return new Map(countries.map((c, i) => [c.code, manifests[i]]));
+  });
+
+  const loadManifest = async (country) => (await loadManifests()).get(country.code) || null;
+
+  // The UK alone keeps its own version; more countries join theirs in gdb_countries.json order
+  const loadDatasetVersion = async () => {
+    const versions = [...(await loadManifests()).values()].filter(Boolean).map(m => m.version);
+    return versions.length ? versions.join('+') : null;
+  };
+
+  const loadTile = (country, key) => once('tile:' + country.code + ':' + key, async () => {
+    const tile = (await loadManifest(country)).tiles[key];
+    if(!tile) return [];
+    const json = await loadHashed(tile.file);
+    const courses = (json.courses || []).filter(hasGeo);
+    courses.forEach(c => byId.set(c.id, c));
+    Object.entries(json.outlines || {}).forEach(([id, g]) => outlines.set(id, g));
+    return courses;
+  });
+
+  const tileKeysIn = (manifest, [west, south, east, north]) => {
+    const deg = manifest.tile_deg;
+    const keys = [];
+    for(let x = Math.floor(west / deg); x <= Math.floor(east / deg); x++){
+      for(let y = Math.floor(south / deg); y <= Math.floor(north / deg); y++){
+        if(manifest.tiles[x + '_' + y]) keys.push(x + '_' + y);
+      }
+    }
+    return keys;
+  };
+
+  // Callers still filter to their exact area, tiles only narrow what is fetched
+  const loadCoursesIn = (bbox) => eachCountry(async (country) => {
+    const manifest = await loadManifest(country);
+    if(!manifest) return loadCountryCourses(country);
+    const tiles = await Promise.all(tileKeysIn(manifest, bbox).map(key => loadTile(country, key)));
+    return tiles.flat();
+  });
+
+  // Same refs as osmRefs() in gdb-tiles.js, for the no-manifest fallback
+  const osmRefs = (c) => [...new Set([c.source?.osm, ...(c.source?.merged_osm || []), ...(c.holes || []).map(h => h && h.osm)]
+    .filter(o => o && o.type && o.id != null).map(o => o.type + '/' + o.id))];
+
+  const byOsm = new Map();
+
+  const loadSummary = () => once('summary', async () => {
+    const summary = await eachCountry(async (country) => {
+      const manifest = await loadManifest(country);
+      return !manifest
+        ? (await loadCountryCourses(country)).map(c => ({ id:c.id, name:c.name, lat:c.geo.lat, lng:c.geo.lng, osm:osmRefs(c), country:country.code }))
+        : ((await loadHashed(manifest.summary)).courses || []).map(([id, name, lat, lng, tile, osm]) => ({ id, name, lat, lng, tile, osm:osm || [], country:country.code }));
+    });
+    summary.forEach(s => s.osm.forEach(ref => byOsm.set(ref, s)));
+    return summary;
+  });
+
+  const findByOsm = (ref) => byOsm.get(ref) || null;
+
+  // A country without tiles has every course loaded by loadSummary() already
+  const loadCoursesById = async (ids) => {
+    const wanted = new Set(ids);
+    const countries = new Map((await loadCountries()).map(c => [c.code, c]));
+    const tiles = new Map();
+    (await loadSummary()).filter(s => s.tile && wanted.has(s.id)).forEach(s => tiles.set(s.country + ':' + s.tile, s));
+    await Promise.all([...tiles.values()].map(s => loadTile(countries.get(s.country), s.tile)));
+    return ids.map(id => byId.get(id)).filter(Boolean);
+  };
+
+  const loadAliases = () => once('aliases', async () => {
+    const maps = await eachCountry(async (country) => {
+      try{
+        return [(await fetchJson(countryFile(country, 'aliases'))).aliases || {}];
+      } catch(e){
+        return [];
+      }
+    });
+    aliases = Object.assign({}, ...maps);
+    return aliases;
+  });
+
+  // With tiles, outlines arrive with each tile instead of as one file
+  const loadOutlines = () => once('outlines', async () => {
+    await eachCountry(async (country) => {
+      if(await loadManifest(country)) return [];
+      try{
+        const fc = await fetchJson(countryFile(country, 'geometry'));
+        (fc.features || []).filter(f => f && f.geometry).forEach(f => outlines.set(f.id || f.properties?.id, f.geometry));
+      } catch(e){}
+      return [];
+    });
+    return outlines;
+  });
+
+  const resolveId = (id) => (id && aliases[id]) || id;
+
+  // --- Text search (indexes built by gdb-search-index.js, one per country) ---
+
+  const loadCountryIndex = (country) => once('search:' + country.code, async () => {
+    const idx = await fetchJson(countryFile(country, 'search_index'));
+    return { ...idx, termList:Object.keys(idx.terms || {}), country:country.code };
+  });
+
+  // A country whose index is missing is left out of search rather than failing it
+  const loadSearchIndex = () => once('search', async () => {
+    const all = await eachCountry(c => loadCountryIndex(c).then(idx => [idx], () => []));
+    if(!all.length) throw new Error('No search index');
+    return all;
+  });
+
+  // Optimal string alignment distance (a swap counts as one typo), false once it passes max
+  const withinEdits = (a, b, max) => {
+    if(Math.abs(a.length - b.length) > max) return false;
+    let prev2 = null, prev = Array.from({length:b.length + 1}, (_, j) => j);
+    for(let i = 1; i <= a.length; i++){
+      const cur = [i];
+      let rowMin = i;
+      for(let j = 1; j <= b.length; j++){
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let d = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+        if(prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, prev2[j - 2] + 1);
+        cur.push(d);
+        if(d < rowMin) rowMin = d;
+      }
+      if(rowMin > max) return false;
+      prev2 = prev;
+      prev = cur;
+    }
+    return prev[b.length] <= max;
+  };
+
+  // A dropped or added letter shifts where the typed start of a word ends, so the word being
+  // typed is tried against the whole term and its starts up to maxEdits letters either side
+  const typoOf = (term, t, maxEdits, last) => {
+    if(withinEdits(term, t, maxEdits)) return true;
+    if(!last) return false;
+    for(let n = Math.max(1, t.length - maxEdits); n <= t.length + maxEdits && n < term.length; n++){
+      if(withinEdits(term.slice(0, n), t, maxEdits)) return true;
+    }
+    return false;
+  };
+
+  // Name hits count most, then postcode, town and county
+  const FIELD_WEIGHT = [3, 1.5, 1, 2];
+
+  // Same normalisation as normStr() in build-gdb-uk.js, accents folded so "Algés" finds "Alges"
+  const queryWords = (query) => String(query || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/&/g, ' and ').replace(/[^a-z0-9 ]+/g, ' ').split(/\s+/).filter(Boolean);
+
+  // Map doc -> score for one country's index
+  const searchIndex = (idx, plain) => {
+    const stop = new Set(idx.stopwords || []);
+    const words = plain.filter(w => !stop.has(w));
+    const qTokens = words.length ? words : plain;
+
+    let scores = null;
+    qTokens.forEach((t, i) => {
+      const last = i === qTokens.length - 1;
+      const maxEdits = t.length >= 8 ? 2 : t.length >= 4 ? 1 : 0;
+      const best = new Map();
+      for(const term of idx.termList){
+        let m = 0;
+        if(term === t) m = 1;
+        else if(term.startsWith(t) && (last || t.length >= 3)) m = 0.8;
+        // A misspelt word, or for the word being typed a misspelt start of a longer one
+        else if(maxEdits && typoOf(term, t, maxEdits, last)) m = 0.6;
+        if(!m) continue;
+        for(const p of idx.terms[term]){
+          const doc = p >> 2;
+          const s = m * FIELD_WEIGHT[p & 3];
+          if(s > (best.get(doc) || 0)) best.set(doc, s);
+        }
+      }
+      // Every word has to match somewhere in the course
+      if(!scores){ scores = best; return; }
+      const next = new Map();
+      for(const [doc, s] of scores) if(best.has(doc)) next.set(doc, s + best.get(doc));
+      scores = next;
+    });
+    return scores;
+  };
+
+  // Scores are comparable between countries, so hits from every index are ranked together
+  const searchCourses = async (query, limit = 8) => {
+    const plain = queryWords(query);
+    if(!plain.length) return [];
+    const hits = (await loadSearchIndex()).flatMap(idx => [...searchIndex(idx, plain)].map(([doc, score]) => {
+      const [id, name, city, county, postcode, lat, lng] = idx.docs[doc];
+      return { id, name, city, county, postcode, lat, lng, score, country:idx.country };
+    }));
+    return hits
+      .sort((a, b) => b.score - a.score || String(a.name).localeCompare(String(b.name)))
+      .slice(0, limit);
+  };
+
+  const findCourse = async (requested) => {
+    await loadAliases();
+    await loadCoursesById([...new Set([requested, resolveId(requested)])].filter(Boolean));
+    if(requested && byId.has(requested)) return { status:'found', course:byId.get(requested), id:requested, requested };
+    const id = resolveId(requested);
+    if(id !== requested && byId.has(id)) return { status:'moved', course:byId.get(id), id, requested };
+    return { status:'not_found', course:null, id:null, requested };
+  };
+
+  window.GDB_DATA = {
+    loadCountries, loadCourses, loadRanges, loadRangesNear, loadCoursesIn, loadCoursesById, loadSummary, loadAliases, loadOutlines, loadDatasetVersion,
+    resolveId, findByOsm, findCourse, loadSearchIndex, searchCourses, havKm
+  };
+})();
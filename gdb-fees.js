@@ -0,0 +1,97 @@
+/* GDB green fees (browser)
+Reads the green_fees model build-gdb-uk.js puts on each course (see gdb-green-fees.js), so the
+search page's price sort, the compare view and the trip planner's cost totals price a round
+the same way.
+
+  GDB_FEES.rateFor(fees, { date, holes, type })   { rate, amount, exact } for a round, or null
+  GDB_FEES.label(fees)                            '£45 to £60', '£45' or 'Price unknown'
+  GDB_FEES.rateLabel(rate)                        'Weekend twilight, summer, 9 holes'
+  GDB_FEES.rows(fees)                             [{ label, price }] one per rate, for a table
+  GDB_FEES.sortValue(fees)                        the cheapest standard rate, Infinity when unknown;
+                                                  in fees.currency, so only comparable within one
+  GDB_FEES.money(amount, currency)                '£45', '€72.50'
+
+rateFor() picks the rate that fits the round best: the date gives weekday or weekend and
+summer (April to September) or winter, type is 'standard' (default), 'twilight' or 'society'
+and holes 18 (default) or 9. A rate for any day or season fits any round, a specific one
+fits better. High and low season depend on the club, so they fit any date and the dearer
+is taken, as it is between a weekday and a weekend rate when there is no date. A range
+counts at its top. exact is false when the date is missing or nothing matches the round and
+the nearest rate is used instead.
+*/
+(() => {
+  const SYMBOLS = { GBP:'£', EUR:'€', USD:'$' };
+  const SEASONS = { summer:'summer', winter:'winter', high:'high season', low:'low season' };
+
+  const money = (amount, currency) => {
+    const n = Number(amount);
+    if(!Number.isFinite(n)) return '';
+    const text = Number.isInteger(n) ? String(n) : n.toFixed(2);
+    return (SYMBOLS[currency] || (currency ? currency + ' ' : '')) + text;
+  };
+
+  const known = (fees) => !!fees && Array.isArray(fees.rates) && fees.rates.length > 0;
+
+  const label = (fees) => {
+    if(!known(fees) || fees.from == null) return 'Price unknown';
+    return fees.to != null && fees.to !== fees.from
+      ? `${money(fees.from, fees.currency)} to ${money(fees.to, fees.currency)}`
+      : money(fees.from, fees.currency);
+  };
+
+  const rateLabel = (r) => {
+    const head = [r.days === 'weekday' ? 'Weekday' : r.days === 'weekend' ? 'Weekend' : '', r.type !== 'standard' ? r.type : '']
+      .filter(Boolean).join(' ');
+    const parts = [head, SEASONS[r.season] || '', r.holes === 9 ? '9 holes' : ''].filter(Boolean);
+    const text = parts.join(', ') || 'Green fee';
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  };
+
+  const rows = (fees) => known(fees)
+    ? fees.rates.map(r => ({
+      label: rateLabel(r) + (r.note ? ` (${r.note})` : ''),
+      price: r.max ? `${money(r.amount, fees.currency)} to ${money(r.max, fees.currency)}` : money(r.amount, fees.currency)
+    }))
+    : [];
+
+  const sortValue = (fees) => known(fees) && fees.from != null ? fees.from : Infinity;
+
+  // How well a rate fits: 0 when it does not, more for a closer match
+  const fit = (r, day, season) => {
+    let score = 1;
+    if(r.days !== 'any'){
+      if(day && r.days !== day) return 0;
+      score += day ? 2 : 0.5;
+    }
+    if(r.season === 'summer' || r.season === 'winter'){
+      if(season && r.season !== season) return 0;
+      score += season ? 2 : 0.5;
+    } else if(r.season !== 'any'){
+      score += 0.5;
+    }
+    return score;
+  };
+
+  const rateFor = (fees, { date = '', holes = 18, type = 'standard' } = {}) => {
+    if(!known(fees)) return null;
+    const d = /^\d{4}-\d{2}-\d{2}$/.test(date || '') ? new Date(date + 'T12:00:00Z') : null;
+    const day = d ? ([0, 6].includes(d.getUTCDay()) ? 'weekend' : 'weekday') : null;
+    const season = d ? (d.getUTCMonth() >= 3 && d.getUTCMonth() <= 8 ? 'summer' : 'winter') : null;
+
+    // Nearest rates when none match: standard for another type, 18 holes for 9, then any day
+    const tries = [[type, holes], ['standard', holes], [type, 18], ['standard', 18]];
+    for(const dated of [true, false]){
+      for(const [i, [t, h]] of tries.entries()){
+        const best = fees.rates
+          .filter(r => r.type === t && r.holes === h)
+          .map(r => ({ r, score:dated ? fit(r, day, season) : fit(r, null, null) }))
+          .filter(x => x.score > 0)
+          .sort((a, b) => b.score - a.score || (b.r.max || b.r.amount) - (a.r.max || a.r.amount))[0];
+        if(best) return { rate:best.r, amount:best.r.max || best.r.amount, exact:!!d && dated && i === 0 };
+      }
+    }
+    return null;
+  };
+
+  window.GDB_FEES = { rateFor, label, rateLabel, rows, sortValue, money };
+})();
@@ -0,0 +1,125 @@
+/* GDB geocoding queue
+Reverse geocodes a build's points through one of the sources in gdb-sources.js without
+going over the server's rate limit, and without losing work when a request or the run fails.
+
+  tokenBucket({ rate, burst })        take() resolves when a request may start; hold(ms) pauses everyone
+  geocodeAll(points, source, opts)    { answers: Map key -> answer | null, failed, counts }
+
+Each point is answered from the source's cache when it has a fresh answer. The rest are
+queued: workers take a token per request, and a 429, a 5xx or a network error is retried
+with exponential backoff (or the server's Retry-After, which holds back every worker).
+A point that still fails keeps its stale cached answer if it has one, is listed in
+failed, and is not cached, so the next run asks again.
+
+Sources that are not live (cache only, postcode centroids) answer everything from lookup().
+*/
+
+import { pointKey } from "./gdb-sources.js";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Public Nominatim allows one request a second; a local server can take far more
+export const PUBLIC_RATE = { rate: 1, concurrency: 1 };
+export const LOCAL_RATE = { rate: 10, concurrency: 4 };
+
+const MAX_BACKOFF_MS = 60000;
+
+export function tokenBucket({ rate, burst = 1, now = () => Date.now(), wait = sleep }) {
+  let tokens = burst;
+  let last = now();
+  let queue = Promise.resolve();
+
+  const refill = () => {
+    const t = now();
+    tokens = Math.min(burst, tokens + ((t - last) * rate) / 1000);
+    last = t;
+  };
+
+  const takeOne = async () => {
+    refill();
+    if (tokens < 1) {
+      await wait(Math.ceil(((1 - tokens) * 1000) / rate));
+      refill();
+    }
+    tokens -= 1;
+  };
+
+  return {
+    // Callers are served in the order they asked
+    take: () => (queue = queue.then(takeOne)),
+    hold(ms) {
+      refill();
+      tokens = Math.min(tokens, 0) - (ms * rate) / 1000;
+    },
+  };
+}
+
+/**
+ * points:  [{ lat, lng }], duplicates answered once
+ * options: { rate, burst, concurrency, retries = 4, backoffMs = 2000, onProgress(done, total, failed) }
+ * counts:  { points, answered, unanswered, stale, fetched, failed }; answered and unanswered are
+ *          points settled without a request, from the cache or an offline source
+ */
+export async function geocodeAll(points, source, { rate = PUBLIC_RATE.rate, burst = 1, concurrency = PUBLIC_RATE.concurrency, retries = 4, backoffMs = 2000, onProgress = () => {}, wait = sleep } = {}) {
+  if (!(rate > 0) || !(concurrency >= 1) || !(retries >= 0)) {
+    throw new Error(`geocodeAll needs rate > 0, concurrency >= 1 and retries >= 0, got ${rate}, ${concurrency}, ${retries}`);
+  }
+  const answers = new Map();
+  const failed = [];
+  const counts = { points: 0, answered: 0, unanswered: 0, stale: 0, fetched: 0, failed: 0 };
+  const todo = [];
+  const seen = new Set();
+
+  for (const p of points) {
+    const key = pointKey(p.lat, p.lng);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    counts.points++;
+    const hit = source.lookup(p.lat, p.lng);
+    if (hit && (hit.fresh || !source.live)) {
+      answers.set(key, hit.answer);
+      counts[hit.answer ? "answered" : "unanswered"]++;
+    } else if (!source.live) {
+      answers.set(key, null);
+      counts.unanswered++;
+    } else {
+      todo.push({ key, lat: p.lat, lng: p.lng, stale: hit ? hit.answer : undefined });
+    }
+  }
+
+  const bucket = tokenBucket({ rate, burst, wait });
+  let next = 0;
+  let done = 0;
+
+  const one = async (job) => {
+    for (let attempt = 0; ; attempt++) {
+      await bucket.take();
+      try {
+        answers.set(job.key, await source.fetch(job.lat, job.lng));
+        counts.fetched++;
+        return;
+      } catch (e) {
+        if (!e.retryable || attempt >= retries) {
+          failed.push({ key: job.key, lat: job.lat, lng: job.lng, error: e.message, stale: job.stale !== undefined });
+          answers.set(job.key, job.stale !== undefined ? job.stale : null);
+          if (job.stale !== undefined) counts.stale++;
+          counts.failed++;
+          return;
+        }
+        const delay = e.retryAfterMs || Math.min(MAX_BACKOFF_MS, backoffMs * 2 ** attempt);
+        if (e.retryAfterMs || e.status === 429) bucket.hold(delay);
+        else await wait(delay);
+      }
+    }
+  };
+
+  const worker = async () => {
+    while (next < todo.length) {
+      await one(todo[next++]);
+      onProgress(++done, todo.length, failed.length);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, todo.length)) }, worker));
+  return { answers, failed, counts };
+}
@@ -0,0 +1,192 @@
+/* GDB course geometry
+Course boundaries from Overpass "out geom" elements, simplified for the web.
+
+- Ways become one ring, multipolygon relations are stitched from their member ways
+- Rings are simplified (Douglas-Peucker, metres) and rounded to 5 decimals (~1 m)
+- Geometries are GeoJSON Polygon or MultiPolygon in [lng, lat] order
+
+Used by build-gdb-uk.js for dedupe (overlap of two outlines) and to write
+gdb_course_geometry_uk.json, which the pages load for area search and map outlines.
+*/
+
+export const SIMPLIFY_METRES = 25;
+
+const KM_PER_DEG = 111.32;
+const round5 = (n) => Math.round(n * 1e5) / 1e5;
+
+// Equirectangular projection to km around a reference latitude, fine at course scale
+function projector(refLat) {
+  const kx = KM_PER_DEG * Math.cos((refLat * Math.PI) / 180);
+  return ([lng, lat]) => [lng * kx, lat * KM_PER_DEG];
+}
+
+const samePt = (a, b) => a[0] === b[0] && a[1] === b[1];
+const toLngLat = (g) => (g || []).filter((p) => p && Number.isFinite(p.lat) && Number.isFinite(p.lon)).map((p) => [p.lon, p.lat]);
+
+function closeRing(ring) {
+  if (ring.length && !samePt(ring[0], ring[ring.length - 1])) ring.push(ring[0]);
+  return ring.length >= 4 ? ring : null;
+}
+
+// Joins open member ways end to end until they close
+function stitch(lines) {
+  const open = lines.filter((l) => l.length >= 2).map((l) => l.slice());
+  const rings = [];
+  while (open.length) {
+    let ring = open.shift();
+    let grew = true;
+    while (!samePt(ring[0], ring[ring.length - 1]) && grew) {
+      grew = false;
+      for (let i = 0; i < open.length; i++) {
+        const l = open[i];
+        const end = ring[ring.length - 1];
+        if (samePt(end, l[0])) ring = ring.concat(l.slice(1));
+        else if (samePt(end, l[l.length - 1])) ring = ring.concat(l.slice(0, -1).reverse());
+        else continue;
+        open.splice(i, 1);
+        grew = true;
+        break;
+      }
+    }
+    const closed = closeRing(ring);
+    if (closed) rings.push(closed);
+  }
+  return rings;
+}
+
+function pointInRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+function simplifyRing(ring, metres) {
+  if (ring.length <= 5) return ring;
+  const proj = projector(ring[0][1]);
+  const pts = ring.map(proj);
+  const tol = metres / 1000;
+  const keep = new Uint8Array(ring.length);
+  keep[0] = keep[ring.length - 1] = 1;
+
+  const stack = [[0, ring.length - 1]];
+  while (stack.length) {
+    const [a, b] = stack.pop();
+    let maxD = 0, idx = -1;
+    const [ax, ay] = pts[a];
+    const [bx, by] = pts[b];
+    const dx = bx - ax, dy = by - ay;
+    const len = Math.hypot(dx, dy);
+    for (let i = a + 1; i < b; i++) {
+      const [px, py] = pts[i];
+      const d = len ? Math.abs(dy * px - dx * py + bx * ay - by * ax) / len : Math.hypot(px - ax, py - ay);
+      if (d > maxD) { maxD = d; idx = i; }
+    }
+    if (idx >= 0 && maxD > tol) {
+      keep[idx] = 1;
+      stack.push([a, idx], [idx, b]);
+    }
+  }
+  const out = ring.filter((_, i) => keep[i]);
+  // A closed ring whose first and last points coincide collapses if only they survive
+  return out.length >= 4 ? out : ring;
+}
+
+/**
+ * Outline for an Overpass element fetched with "out geom", or null (nodes, broken rings).
+ */
+export function elementGeometry(el, metres = SIMPLIFY_METRES) {
+  let outers = [];
+  let inners = [];
+  if (el?.type === "way" && Array.isArray(el.geometry)) {
+    const ring = closeRing(toLngLat(el.geometry));
+    if (ring) outers = [ring];
+  } else if (el?.type === "relation" && Array.isArray(el.members)) {
+    const ways = el.members.filter((m) => m.type === "way" && Array.isArray(m.geometry));
+    outers = stitch(ways.filter((m) => m.role !== "inner").map((m) => toLngLat(m.geometry)));
+    inners = stitch(ways.filter((m) => m.role === "inner").map((m) => toLngLat(m.geometry)));
+  }
+  if (!outers.length) return null;
+
+  const polys = outers.map((o) => [o]);
+  for (const inner of inners) {
+    const host = polys.find((p) => pointInRing(inner[0], p[0]));
+    if (host) host.push(inner);
+  }
+
+  const clean = polys.map((p) => p.map((r) => simplifyRing(r, metres).map(([x, y]) => [round5(x), round5(y)])));
+  return clean.length === 1 ? { type: "Polygon", coordinates: clean[0] } : { type: "MultiPolygon", coordinates: clean };
+}
+
+const polygonsOf = (g) => (!g ? [] : g.type === "Polygon" ? [g.coordinates] : g.type === "MultiPolygon" ? g.coordinates : []);
+
+export function bboxOf(g) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const poly of polygonsOf(g)) {
+    for (const [x, y] of poly[0]) {
+      if (x < minX) minX = x;
+      if (y < minY) minY = y;
+      if (x > maxX) maxX = x;
+      if (y > maxY) maxY = y;
+    }
+  }
+  return Number.isFinite(minX) ? [minX, minY, maxX, maxY] : null;
+}
+
+export function pointInGeometry(pt, g) {
+  return polygonsOf(g).some((poly) => pointInRing(pt, poly[0]) && !poly.slice(1).some((hole) => pointInRing(pt, hole)));
+}
+
+function areaKm2(g) {
+  let total = 0;
+  for (const poly of polygonsOf(g)) {
+    const proj = projector(poly[0][0][1]);
+    poly.forEach((ring, i) => {
+      const pts = ring.map(proj);
+      let a = 0;
+      for (let k = 0, j = pts.length - 1; k < pts.length; j = k++) a += (pts[j][0] + pts[k][0]) * (pts[j][1] - pts[k][1]);
+      total += (i === 0 ? 1 : -1) * Math.abs(a / 2);
+    });
+  }
+  return total;
+}
+
+/**
+ * Share of the smaller outline covered by the other one (0..1), estimated on a grid over
+ * the two bounding boxes' overlap. Deterministic, and plenty for "is this the same site".
+ */
+export function overlapRatio(a, b, steps = 24) {
+  const ba = bboxOf(a), bb = bboxOf(b);
+  if (!ba || !bb) return 0;
+  const minX = Math.max(ba[0], bb[0]), minY = Math.max(ba[1], bb[1]);
+  const maxX = Math.min(ba[2], bb[2]), maxY = Math.min(ba[3], bb[3]);
+  if (minX >= maxX || minY >= maxY) return 0;
+
+  let both = 0;
+  for (let i = 0; i < steps; i++) {
+    for (let j = 0; j < steps; j++) {
+      const pt = [minX + ((i + 0.5) / steps) * (maxX - minX), minY + ((j + 0.5) / steps) * (maxY - minY)];
+      if (pointInGeometry(pt, a) && pointInGeometry(pt, b)) both++;
+    }
+  }
+  const cellKm2 = areaKm2({ type: "Polygon", coordinates: [[[minX, minY], [maxX, minY], [maxX, maxY], [minX, maxY], [minX, minY]]] }) / (steps * steps);
+  const smaller = Math.min(areaKm2(a), areaKm2(b));
+  return smaller > 0 ? Math.min(1, (both * cellKm2) / smaller) : 0;
+}
+
+// One geometry covering several outlines (a venue's courses), null when there are none
+export function mergeGeometries(list) {
+  const polys = list.flatMap(polygonsOf);
+  if (!polys.length) return null;
+  return polys.length === 1 ? { type: "Polygon", coordinates: polys[0] } : { type: "MultiPolygon", coordinates: polys };
+}
+
+export function geometryFeatureCollection(records) {
+  return {
+    type: "FeatureCollection",
+    features: records.filter((r) => r.outline).map((r) => ({ type: "Feature", id: r.id, properties: { id: r.id, kind: r.kind }, geometry: r.outline })),
+  };
+}
@@ -0,0 +1,182 @@
+/* GDB green fees
+The structured green fee model on each course record, read from OSM fee tags by
+build-gdb-uk.js or set by an editor through overrides.json. Price bands, the search page's
+price filter and sort, the compare view and the trip planner's cost totals all read it.
+
+  green_fees {
+    currency        "GBP", "EUR": the country's currency (gdb-countries.js)
+    rates           [{ amount, max?, holes: 18 | 9, days, season, type, note? }]
+                      days    "any" | "weekday" | "weekend"
+                      season  "any" | "summer" | "winter" | "high" | "low"
+                      type    "standard" | "twilight" | "society"
+                      max     top of a range given without saying when each end applies
+    from, to        cheapest and dearest standard rate, derived from rates (18 holes when
+                    there are any); what price bands, filters and sorting use
+    source          "osm:<tag>" for the tag the rates came from, "override", or what an
+                    editor wrote ("club website")
+    source_url      optional, where an editor read the rates
+    last_verified   YYYY-MM-DD the rates were checked (OSM check_date:fee), or null
+  }
+
+  parseGreenFees(tags, country)     the model from OSM tags, or null when none give an amount
+  normalizeGreenFees(fees, opts)    an editor's model checked and completed; throws on a bad rate
+  feeBand(fees)                     "value" | "mid" | "premium" | "luxury" | null, from the
+                                    currency's bands in gdb-countries.js
+
+Tags are read in order: golf:green_fee, green_fee, greenfee, charge, fee (when it is more
+than yes or no), the :conditional forms, then the description. The first that gives an
+amount is used. Text is split into clauses and each amount takes the weekday, weekend,
+season, twilight, society and 9-hole words of its clause, in English, Portuguese and
+Spanish. Member, junior and buggy prices are not green fees and are skipped.
+*/
+
+import { COUNTRIES, foldAccents } from "./gdb-countries.js";
+
+const FEE_TAGS = [
+  "golf:green_fee", "green_fee", "greenfee", "golf:greenfee", "charge", "fee",
+  "charge:conditional", "fee:conditional",
+];
+const CHECK_DATE_TAGS = ["check_date:fee", "check_date:charge", "check_date:green_fee", "check_date"];
+
+const DAYS = ["any", "weekday", "weekend"];
+const SEASONS = ["any", "summer", "winter", "high", "low"];
+const TYPES = ["standard", "twilight", "society"];
+const BANDS = ["value", "mid", "premium", "luxury"];
+
+// --- Clause words (lowercase, accents removed) ---
+
+const WORDS = {
+  weekend: /weekends?|\b(sat|sun)(urday|day)?s?\b|\bsa\b|\bsu\b|\bph\b|bank holidays?|fins? de semana|sabados?|domingos?|feriados?|festivos?/,
+  weekday: /weekdays?|\b(mon|tue|wed|thu|fri)(day)?s?\b|\bmo\b|\bfr\b|dias uteis|entre semana|laborables?|lunes|segunda/,
+  high: /high season|peak|epoca alta|alta temporada|temporada alta/,
+  low: /low season|off[ -]?peak|epoca baixa|baixa temporada|temporada baja|baja temporada/,
+  summer: /summer|verao|verano/,
+  winter: /winter|inverno|invierno/,
+  twilight: /twilight|after \d|from \d{1,2}(:\d\d)? ?pm|crepuscul|tarde/,
+  society: /societ(y|ies)|groups?|grupos?|corporate/,
+  nine: /\b9[ -]?(holes?|h|buracos|hoyos)\b|nine[ -]holes?/,
+  // Prices that are not a visitor's round
+  visitor: /green ?fee|non[ -]?members?|visitors?/,
+  skip: /\bmember|junior|juvenil|child|student|\bunder \d|resident|socios?|buggy|buggie|cart|trolley|carro|lesson|range balls|bucket|annual|subscription|joining/,
+};
+
+// "45", "45.00", "45,50" with an optional currency either side. Numbers that are hole
+// counts, times or handicaps are not amounts
+const BARE_AMOUNT = /(?:[£€$]\s*)?(?<![\d:.,])(\d{1,3})(?:[.,]\d{1,2})?(?![\d:])(?!\s*(?:holes?|h\b|buracos|hoyos|am\b|pm\b|%|yards?|yds|m\b))/g;
+
+const clauses = (text) =>
+  String(text)
+    .split(/[;\n|]|\.\s+|,\s*(?=\D)|\s+(?:and|e|y)\s+|\s\/\s|\)\s*,?/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+function amountsIn(clause, country, bare) {
+  if (!bare) return country.currency.amounts(clause);
+  return [...clause.matchAll(BARE_AMOUNT)].map((m) => Number(m[1])).filter((n) => n > 0);
+}
+
+function ratesFrom(text, country, bare) {
+  const rates = [];
+  for (const clause of clauses(text)) {
+    const t = foldAccents(clause).toLowerCase();
+    const amounts = amountsIn(clause, country, bare);
+    if (!amounts.length || (WORDS.skip.test(t) && !WORDS.visitor.test(t))) continue;
+    const weekday = WORDS.weekday.test(t);
+    const weekend = WORDS.weekend.test(t);
+    const rate = {
+      holes: WORDS.nine.test(t) ? 9 : 18,
+      days: weekday === weekend ? "any" : weekday ? "weekday" : "weekend",
+      season: ["high", "low", "summer", "winter"].find((s) => WORDS[s].test(t)) || "any",
+      type: WORDS.twilight.test(t) ? "twilight" : WORDS.society.test(t) ? "society" : "standard",
+    };
+    // "£50-90" or "50 to 90 €" is one rate with a range
+    if (amounts.length === 2 && /\d\s*(?:[£€]\s*)?(?:-|–|to|a)\s*[£€]?\s*\d/.test(t) && amounts[1] > amounts[0]) {
+      rates.push({ amount: amounts[0], max: amounts[1], ...rate });
+    } else {
+      for (const amount of amounts) rates.push({ amount, ...rate });
+    }
+  }
+  // The same rate written twice ("£40 (£40 for societies)") counts once
+  const seen = new Set();
+  return rates.filter((r) => {
+    const key = JSON.stringify(r);
+    return seen.has(key) ? false : seen.add(key);
+  });
+}
+
+function checkDate(tags) {
+  for (const k of CHECK_DATE_TAGS) {
+    const v = String(tags[k] || "").trim();
+    if (/^\d{4}-\d{2}-\d{2}$/.test(v)) return v;
+    if (/^\d{4}-\d{2}$/.test(v)) return v + "-01";
+  }
+  return null;
+}
+
+function summarise(rates) {
+  const standard = rates.filter((r) => r.type === "standard");
+  const pick = standard.filter((r) => r.holes === 18).length ? standard.filter((r) => r.holes === 18) : standard.length ? standard : rates;
+  if (!pick.length) return { from: null, to: null };
+  return {
+    from: Math.min(...pick.map((r) => r.amount)),
+    to: Math.max(...pick.map((r) => r.max || r.amount)),
+  };
+}
+
+export function parseGreenFees(tags = {}, country = COUNTRIES.uk) {
+  for (const k of FEE_TAGS) {
+    const v = String(tags[k] || "").trim();
+    if (!v || /^(yes|no|unknown|free|donation)$/i.test(v)) continue;
+    const rates = ratesFrom(v, country, true);
+    if (rates.length) return { currency: country.currency.code, rates, ...summarise(rates), source: `osm:${k}`, last_verified: checkDate(tags) };
+  }
+  // Free text only counts amounts written with the currency
+  const rates = ratesFrom(tags.description || "", country, false);
+  if (!rates.length) return null;
+  return { currency: country.currency.code, rates, ...summarise(rates), source: "osm:description", last_verified: checkDate(tags) };
+}
+
+/**
+ * An editor's green_fees (overrides.json): rates need an amount, the other rate fields
+ * default to the plain 18-hole rate, and from/to are worked out again.
+ * opts: { currency, source = "override", date }   date stands in for a missing last_verified
+ */
+export function normalizeGreenFees(fees, { currency, source = "override", date = null } = {}) {
+  if (!fees || typeof fees !== "object" || !Array.isArray(fees.rates)) throw new Error("green_fees needs a rates array");
+  const rates = fees.rates.map((r, i) => {
+    const where = `green_fees.rates[${i}]`;
+    if (!(Number(r?.amount) > 0)) throw new Error(`${where}: amount must be a positive number`);
+    const out = {
+      amount: Number(r.amount),
+      ...(r.max != null ? { max: Number(r.max) } : {}),
+      holes: r.holes == null ? 18 : Number(r.holes),
+      days: r.days || "any",
+      season: r.season || "any",
+      type: r.type || "standard",
+      ...(r.note ? { note: String(r.note) } : {}),
+    };
+    if (out.max != null && !(out.max > out.amount)) throw new Error(`${where}: max must be above amount`);
+    if (out.holes !== 9 && out.holes !== 18) throw new Error(`${where}: holes must be 9 or 18`);
+    if (!DAYS.includes(out.days)) throw new Error(`${where}: days must be one of ${DAYS.join(", ")}`);
+    if (!SEASONS.includes(out.season)) throw new Error(`${where}: season must be one of ${SEASONS.join(", ")}`);
+    if (!TYPES.includes(out.type)) throw new Error(`${where}: type must be one of ${TYPES.join(", ")}`);
+    return out;
+  });
+  const lastVerified = fees.last_verified ?? (/^\d{4}-\d{2}-\d{2}$/.test(date || "") ? date : null);
+  return {
+    currency: fees.currency || currency || COUNTRIES.uk.currency.code,
+    rates,
+    ...summarise(rates),
+    source: fees.source || source,
+    ...(fees.source_url ? { source_url: fees.source_url } : {}),
+    last_verified: lastVerified,
+  };
+}
+
+export function feeBand(fees) {
+  if (!fees || fees.from == null) return null;
+  const country = Object.values(COUNTRIES).find((c) => c.currency.code === fees.currency);
+  if (!country) return null;
+  const i = country.currency.bands.findIndex((top) => fees.from <= top);
+  return BANDS[i < 0 ? BANDS.length - 1 : i];
+}
@@ -0,0 +1,168 @@
+/* GDB group trips (browser)
+Who is on a plan-golf-trip.html trip and what it costs them: the player roster, who plays each
+round, who sleeps in which room, and a ledger of costs split between players with a settle-up
+summary. Everything lives in the basket (see gdb-basket.js), so it travels with an export.
+
+  GDB_GROUP.KINDS                          { green_fee:'Green fee', room:'Room', ... }
+  GDB_GROUP.newId(prefix)                  'pl_x1y2z3w4'
+  GDB_GROUP.roundPlayers(basket, course, r)   players in round r (0-based) of a course
+  GDB_GROUP.roomPlayers(basket, stay, roomId) players in a room, or in the whole stay without roomId
+  GDB_GROUP.sharedBy(basket, entry)        players a ledger entry is split between
+  GDB_GROUP.refLabel(basket, ref)          'Old Course, round 2' for what an entry is for
+  GDB_GROUP.settleUp(basket)               { balances:[{ player, paid, owed, net }], transfers:[{ from, to, amount }],
+                                             total, unsettled:[entry] }
+  GDB_GROUP.greenFeeEstimate(basket, feesById)  { rounds:[{ course, round, date, rate, exact, currency, each,
+                                             players, total }], totals:{ currency: amount }, unpriced:[name] }
+  GDB_GROUP.removePlayer(basket, id)       drops a player and every reference to them
+  GDB_GROUP.money(amount, currency)        '£1,234.50'
+
+  player { id, name, handicap }            handicap index, plus handicaps as negatives, or null
+  courses[].roundPlayers [[playerId] | null]   one per round, null for everyone on the trip
+  stays[].rooms [{ id, name, players:[playerId] }]
+  ledger [{ id, kind, name, amount, paidBy, split:[playerId] | null, ref:{ type, id, round, room } | null }]
+
+greenFeeEstimate() takes a Map of course id -> green_fees and prices each round at the rate
+for its date (GDB_FEES.rateFor), times the players in it. Totals are kept per currency, as
+courses in different countries charge in different ones.
+
+An entry's split is null until someone picks players by hand. Until then it follows what the
+entry is for: a green fee is shared by that round's players, a room by whoever is in it, a stay
+by everyone in its rooms, and anything else by the whole group. Amounts are in the basket's
+currency; splitting works in pence so shares always add up to the amount.
+*/
+(() => {
+  const KINDS = { green_fee:'Green fee', room:'Room', car_hire:'Car hire', transfer:'Transfer', other:'Other' };
+
+  const newId = (prefix) => prefix + '_' + Math.random().toString(36).slice(2, 10);
+
+  const playersOf = (basket) => Array.isArray(basket.players) ? basket.players : [];
+  const pick = (basket, ids) => {
+    const set = new Set(ids);
+    return playersOf(basket).filter(p => set.has(p.id));
+  };
+
+  const roundPlayers = (basket, course, r) => {
+    const ids = Array.isArray(course.roundPlayers) ? course.roundPlayers[r] : null;
+    return Array.isArray(ids) ? pick(basket, ids) : playersOf(basket);
+  };
+
+  const roomPlayers = (basket, stay, roomId) => {
+    const rooms = Array.isArray(stay.rooms) ? stay.rooms : [];
+    const ids = roomId ? (rooms.find(x => x.id === roomId)?.players || []) : rooms.flatMap(x => x.players || []);
+    return pick(basket, ids);
+  };
+
+  const findRef = (basket, ref) => {
+    if(!ref) return null;
+    const list = { course:basket.courses, stay:basket.stays, transport:basket.transport }[ref.type];
+    return (list || []).find(x => x.id === ref.id) || null;
+  };
+
+  const sharedBy = (basket, entry) => {
+    if(Array.isArray(entry.split)) return pick(basket, entry.split);
+    const target = findRef(basket, entry.ref);
+    let players = [];
+    if(target && entry.ref.type === 'course') players = roundPlayers(basket, target, Number(entry.ref.round) || 0);
+    if(target && entry.ref.type === 'stay') players = roomPlayers(basket, target, entry.ref.room || null);
+    // A stay with nobody in a room yet is still shared by everyone
+    return players.length ? players : playersOf(basket);
+  };
+
+  const refLabel = (basket, ref) => {
+    if(!ref) return '';
+    const target = findRef(basket, ref);
+    if(!target) return 'Removed from the basket';
+    if(ref.type === 'course') return target.rounds > 1 ? `${target.name}, round ${(Number(ref.round) || 0) + 1}` : target.name;
+    if(ref.type === 'stay' && ref.room){
+      const room = (target.rooms || []).find(x => x.id === ref.room);
+      return `${target.name}, ${room ? room.name : 'removed room'}`;
+    }
+    return target.name;
+  };
+
+  const toPence = (amount) => Math.round((Number(amount) || 0) * 100);
+
+  // Equal shares in pence; the odd pennies go to the first players so the total is exact
+  const shares = (pence, n) => Array.from({ length: n }, (_, i) => Math.floor(pence / n) + (i < pence % n ? 1 : 0));
+
+  const settleUp = (basket) => {
+    const rows = new Map(playersOf(basket).map(p => [p.id, { player:p, paid:0, owed:0 }]));
+    const unsettled = [];
+    let total = 0;
+
+    for(const entry of Array.isArray(basket.ledger) ? basket.ledger : []){
+      const pence = toPence(entry.amount);
+      if(!pence) continue;
+      total += pence;
+      const payer = rows.get(entry.paidBy);
+      const players = sharedBy(basket, entry);
+      if(!payer || !players.length){ unsettled.push(entry); continue; }
+      payer.paid += pence;
+      shares(pence, players.length).forEach((s, i) => { rows.get(players[i].id).owed += s; });
+    }
+
+    const balances = [...rows.values()].map(r => ({ ...r, net:r.paid - r.owed }));
+
+    // Largest debtor pays largest creditor until everyone is square; at most players - 1 payments
+    const debtors = balances.filter(b => b.net < 0).map(b => ({ player:b.player, left:-b.net })).sort((a, b) => b.left - a.left);
+    const creditors = balances.filter(b => b.net > 0).map(b => ({ player:b.player, left:b.net })).sort((a, b) => b.left - a.left);
+    const transfers = [];
+    for(let d = 0, c = 0; d < debtors.length && c < creditors.length;){
+      const amount = Math.min(debtors[d].left, creditors[c].left);
+      transfers.push({ from:debtors[d].player, to:creditors[c].player, amount:amount / 100 });
+      debtors[d].left -= amount;
+      creditors[c].left -= amount;
+      if(!debtors[d].left) d++;
+      if(!creditors[c].left) c++;
+    }
+
+    return {
+      balances:balances.map(b => ({ player:b.player, paid:b.paid / 100, owed:b.owed / 100, net:b.net / 100 })),
+      transfers,
+      total:total / 100,
+      unsettled
+    };
+  };
+
+  // Green fees from each course's rates (gdb-fees.js) for the round's date and players
+  const greenFeeEstimate = (basket, feesById) => {
+    const rounds = [];
+    const totals = {};
+    const unpriced = [];
+    for(const course of Array.isArray(basket.courses) ? basket.courses : []){
+      const fees = feesById.get(course.id) || null;
+      for(let r = 0; r < (course.rounds || 1); r++){
+        const date = course.roundDates?.[r] || '';
+        const found = window.GDB_FEES.rateFor(fees, { date, holes:Number(course.holes) === 9 ? 9 : 18 });
+        if(!found){ if(!unpriced.includes(course.name)) unpriced.push(course.name); continue; }
+        // Without a roster it is the price for one player
+        const players = roundPlayers(basket, course, r).length || 1;
+        const total = toPence(found.amount) * players / 100;
+        rounds.push({ course, round:r, date, rate:found.rate, exact:found.exact, currency:fees.currency, each:found.amount, players, total });
+        totals[fees.currency] = (totals[fees.currency] || 0) + total;
+      }
+    }
+    return { rounds, totals, unpriced };
+  };
+
+  const removePlayer = (basket, id) => {
+    basket.players = playersOf(basket).filter(p => p.id !== id);
+    const without = (ids) => Array.isArray(ids) ? ids.filter(x => x !== id) : ids;
+    (basket.courses || []).forEach(c => { if(Array.isArray(c.roundPlayers)) c.roundPlayers = c.roundPlayers.map(without); });
+    (basket.stays || []).forEach(s => (s.rooms || []).forEach(r => { r.players = without(r.players) || []; }));
+    (basket.ledger || []).forEach(e => {
+      e.split = without(e.split);
+      if(e.paidBy === id) e.paidBy = '';
+    });
+  };
+
+  const money = (amount, currency = 'GBP') => {
+    try{
+      return new Intl.NumberFormat('en-GB', { style:'currency', currency }).format(amount || 0);
+    } catch(e){
+      return `${(amount || 0).toFixed(2)} ${currency}`;
+    }
+  };
+
+  window.GDB_GROUP = { KINDS, newId, roundPlayers, roomPlayers, sharedBy, refLabel, settleUp, greenFeeEstimate, removePlayer, money };
+})();
@@ -0,0 +1,165 @@
+/* GDB course ID registry
+Keeps course IDs stable across rebuilds by tying each ID to its OSM element.
+
+File (default ./gdb_id_registry.json):
+  {
+    "schema_version": "gdb_id_registry_v1",
+    "ids":     { "way/123456": "uk_ashridge_golf_club_dacorum_hertfordshire", ... },
+    "aliases": { "uk_old_id": "uk_current_id", ... }
+  }
+
+Rules:
+- An OSM element keeps the first ID it was given, even if its name, city or county change later
+- New elements get slugId(name, city, county); if that ID is taken the OSM ref is appended
+- An element merged into another by dedupe gets an alias from its ID to the survivor's ID
+- Aliases can be added by hand for renames that OSM mapped as a new element
+- Two live records with one ID is a hard failure, the build stops
+*/
+
+import fs from "fs";
+import path from "path";
+
+export const REGISTRY_SCHEMA = "gdb_id_registry_v1";
+
+export const osmKey = (osm) => (osm && osm.type && osm.id != null ? `${osm.type}/${osm.id}` : null);
+
+function sortedObject(obj) {
+  return Object.fromEntries(Object.keys(obj).sort().map((k) => [k, obj[k]]));
+}
+
+function findDuplicates(pairs) {
+  const byId = new Map();
+  for (const [id, ref] of pairs) {
+    const arr = byId.get(id) || [];
+    arr.push(ref);
+    byId.set(id, arr);
+  }
+  return [...byId.entries()].filter(([, refs]) => refs.length > 1);
+}
+
+function duplicateIdError(dupes) {
+  return new Error("Duplicate course ids: " + dupes.map(([id, refs]) => `${id} (${refs.join(", ")})`).join("; "));
+}
+
+export function loadIdRegistry(file) {
+  const abs = path.resolve(file);
+  const raw = fs.existsSync(abs) ? JSON.parse(fs.readFileSync(abs, "utf8")) : {};
+  const ids = { ...(raw.ids || {}) };
+  const aliases = { ...(raw.aliases || {}) };
+
+  // A registry that maps two elements to one ID was hand edited wrongly, refuse to build on it
+  const dupes = findDuplicates(Object.entries(ids).map(([ref, id]) => [id, ref]));
+  if (dupes.length) throw duplicateIdError(dupes);
+
+  return createIdRegistry({ file: abs, ids, aliases });
+}
+
+function createIdRegistry({ file, ids, aliases }) {
+  const taken = new Set(Object.values(ids));
+  const minted = [];
+  const merged = [];
+
+  const reg = {
+    file,
+    ids,
+    aliases,
+    minted,
+    merged,
+
+    idFor(osm) {
+      return ids[osmKey(osm)] || null;
+    },
+
+    /**
+     * Returns the registered ID for an element, minting one on first sight.
+     * fallback is the slugId() the builder would have used before the registry existed.
+     */
+    assign(osm, fallback) {
+      const ref = osmKey(osm);
+      if (!ref) throw new Error("Cannot assign an id without source.osm: " + fallback);
+      if (ids[ref]) return ids[ref];
+
+      let id = fallback;
+      if (taken.has(id)) id = `${fallback}_${osm.type[0]}${osm.id}`;
+      ids[ref] = id;
+      taken.add(id);
+      minted.push({ ref, id });
+      return id;
+    },
+
+    /**
+     * Adopts IDs from an earlier build (e.g. courses.v1.json) so links made before the
+     * registry existed keep working. The first record with a given ID wins, later ones
+     * are left for assign() to mint.
+     */
+    seedFromBuild(build) {
+      const records = [...(build.courses || []), ...(build.driving_ranges || [])];
+      let adopted = 0, skipped = 0;
+      for (const r of records) {
+        const ref = osmKey(r?.source?.osm);
+        if (!ref || !r.id || ids[ref]) continue;
+        if (taken.has(r.id)) { skipped++; continue; }
+        ids[ref] = r.id;
+        taken.add(r.id);
+        adopted++;
+      }
+      return { adopted, skipped };
+    },
+
+    // Record that dedupe folded `from` into `into`, so the loser's ID redirects
+    noteMerge(fromOsm, intoOsm) {
+      const fromId = ids[osmKey(fromOsm)];
+      const intoId = ids[osmKey(intoOsm)];
+      if (!fromId || !intoId || fromId === intoId) return;
+      aliases[fromId] = intoId;
+      merged.push({ from: fromId, into: intoId });
+    },
+
+    // Redirect for a merge made outside dedupe (an overrides.json merge)
+    addAlias(fromId, intoId) {
+      if (!fromId || !intoId || fromId === intoId) return;
+      aliases[fromId] = intoId;
+      merged.push({ from: fromId, into: intoId });
+    },
+
+    resolve(id) {
+      const seen = new Set();
+      let cur = id;
+      while (aliases[cur] && !seen.has(cur)) {
+        seen.add(cur);
+        cur = aliases[cur];
+      }
+      return cur;
+    },
+
+    /**
+     * Drops aliases whose source is live again (an un-merged element) and returns the
+     * flattened alias map for this build, so the front end needs a single lookup.
+     * Aliases pointing at a course missing from this build stay in the registry.
+     */
+    finalizeAliases(liveIds) {
+      for (const from of Object.keys(aliases)) {
+        if (liveIds.has(from)) delete aliases[from];
+      }
+      const out = {};
+      for (const from of Object.keys(aliases)) {
+        const to = reg.resolve(from);
+        if (to !== from && liveIds.has(to)) out[from] = to;
+      }
+      return sortedObject(out);
+    },
+
+    save() {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const out = { schema_version: REGISTRY_SCHEMA, ids: sortedObject(ids), aliases: sortedObject(aliases) };
+      fs.writeFileSync(file, JSON.stringify(out, null, 2), "utf8");
+    },
+  };
+  return reg;
+}
+
+// Hard failure when two emitted records share an ID, whatever produced them
+export function assertUniqueIds(records) {
+  const dupes = findDuplicates(records.map((r) => [r.id, osmKey(r.source?.osm) || r.name]));
+  if (dupes.length) throw duplicateIdError(dupes);
+}
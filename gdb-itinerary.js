@@ -0,0 +1,254 @@
+/* GDB itinerary (browser)
+Lays the plan-golf-trip.html basket out day by day: rounds from courses[].roundDates, nights
+from stays[].startDate/endDate, car hire and transfer legs from transport[] and warm-up range
+stops from warmups[]. Flags the clashes a trip can have and exports the plan as an iCalendar
+(.ics) file.
+
+  GDB_ITINERARY.build(basket)          { days:[day], undated:{ rounds, stays, transport, warmups }, clashes:[clash] }
+  GDB_ITINERARY.driveTime(from, to)    Promise { km, mins, estimate } between two { lat, lng }
+  GDB_ITINERARY.toIcs(itinerary)       iCalendar text, one event per round, warm-up, stay and transport leg
+  GDB_ITINERARY.ukDate(iso)            'Fri 14 May', as the itinerary shows days
+
+  day { date:'2027-05-14', stay, checkIns:[stay], checkOuts:[stay], rounds:[{ course, round }],
+        warmups:[{ range, course }], transport:[{ item, label, time }], clashes:[clash] }
+  clash { date, kind, message }   kind: two_rounds | outside_stay | two_stays | car_not_picked_up | car_returned
+                                        | warmup_without_round
+
+The stay on a day is where you sleep that night, or on a check-out day the one you leave;
+drive times go from it to that day's courses. Drive times come from the public OSRM router
+and are kept in localStorage; without it they are estimated from straight-line distance
+(GDB_DATA.havKm, gdb-data.js is loaded first).
+*/
+(() => {
+  const DRIVE_CACHE_KEY = 'gdb_drive_times';
+  const OSRM_URL = 'https://router.project-osrm.org/route/v1/driving/';
+  // Straight-line to road distance and a country-road average speed, for estimates
+  const ROAD_FACTOR = 1.3;
+  const ESTIMATE_KMH = 60;
+
+  const isIso = (s) => /^\d{4}-\d{2}-\d{2}$/.test(String(s || ''));
+
+  // Date arithmetic in UTC so DST changes never shift a day
+  const addDays = (iso, n) => {
+    const d = new Date(iso + 'T00:00:00Z');
+    d.setUTCDate(d.getUTCDate() + n);
+    return d.toISOString().slice(0, 10);
+  };
+
+  const dayRange = (from, to) => {
+    const out = [];
+    for(let d = from; d <= to && out.length < 366; d = addDays(d, 1)) out.push(d);
+    return out;
+  };
+
+  const ukDate = (iso) => new Date(iso + 'T00:00:00Z').toLocaleDateString('en-GB', { weekday:'short', day:'numeric', month:'short', timeZone:'UTC' });
+
+  const isTime = (t) => /^([01]\d|2[0-3]):[0-5]\d$/.test(String(t || ''));
+
+  // Transport items as dated legs: a car hire is a pick-up and a return, a transfer one or two trips
+  const legsOf = (t) => {
+    const vehicle = t.vehicle ? ` (${t.vehicle})` : '';
+    if(t.kind === 'car_hire'){
+      return [
+        { item:t, date:t.startDate, time:t.startTime, kind:'car_pickup', label:`Pick up hire car${vehicle}${t.pickup ? ' at ' + t.pickup : ''}` },
+        { item:t, date:t.endDate, time:t.endTime, kind:'car_return', label:`Return hire car${vehicle}${t.dropoff ? ' at ' + t.dropoff : ''}` }
+      ];
+    }
+    if(t.kind === 'transfer'){
+      const legs = [{ item:t, date:t.outboundDate, time:t.outboundTime, kind:'transfer', label:`Transfer${vehicle}: ${t.pickup || '?'} → ${t.dropoff || '?'}` }];
+      if(t.tripType === 'round_trip') legs.push({ item:t, date:t.returnDate, time:t.returnTime, kind:'transfer', label:`Transfer${vehicle}: ${t.returnPickup || '?'} → ${t.returnDropoff || '?'}` });
+      return legs;
+    }
+    return [{ item:t, date:t.startDate || t.date, time:t.startTime || t.time, kind:'other', label:t.name || 'Transport' }];
+  };
+
+  const build = (basket) => {
+    const courses = Array.isArray(basket?.courses) ? basket.courses : [];
+    const stays = Array.isArray(basket?.stays) ? basket.stays : [];
+    const transport = Array.isArray(basket?.transport) ? basket.transport : [];
+    // A warm-up comes with the course it is before, null when that is not in the basket
+    const warmups = (Array.isArray(basket?.warmups) ? basket.warmups : [])
+      .map(range => ({ range, course:courses.find(c => c.id === range.course) || null }));
+
+    const rounds = courses.flatMap(course => {
+      const n = Math.max(1, Number(course.rounds) || 1);
+      const dates = Array.isArray(course.roundDates) ? course.roundDates : [];
+      return Array.from({ length:n }, (_, i) => ({ course, round:i + 1, date:dates[i] || '' }));
+    });
+    const datedStays = stays.filter(s => isIso(s.startDate) && isIso(s.endDate) && s.endDate > s.startDate);
+    const legs = transport.flatMap(legsOf);
+
+    const undated = {
+      rounds:rounds.filter(r => !isIso(r.date)),
+      stays:stays.filter(s => !datedStays.includes(s)),
+      transport:transport.filter(t => legsOf(t).every(l => !isIso(l.date))),
+      warmups:warmups.filter(w => !isIso(w.range.date))
+    };
+
+    const allDates = [...rounds.map(r => r.date), ...datedStays.flatMap(s => [s.startDate, s.endDate]), ...legs.map(l => l.date), ...warmups.map(w => w.range.date)].filter(isIso).sort();
+    if(!allDates.length) return { days:[], undated, clashes:[] };
+
+    const clashes = [];
+    const days = dayRange(allDates[0], allDates[allDates.length - 1]).map(date => {
+      const sleeping = datedStays.filter(s => s.startDate <= date && date < s.endDate);
+      const checkOuts = datedStays.filter(s => s.endDate === date);
+      const day = {
+        date,
+        stay:sleeping[0] || checkOuts[0] || null,
+        checkIns:datedStays.filter(s => s.startDate === date),
+        checkOuts,
+        rounds:rounds.filter(r => r.date === date),
+        warmups:warmups.filter(w => w.range.date === date),
+        transport:legs.filter(l => l.date === date).sort((a, b) => String(a.time || '99').localeCompare(String(b.time || '99'))),
+        clashes:[]
+      };
+      const flag = (kind, message) => {
+        const c = { date, kind, message };
+        day.clashes.push(c);
+        clashes.push(c);
+      };
+
+      if(day.rounds.length > 1) flag('two_rounds', `${day.rounds.length} rounds booked on ${ukDate(date)}: ${day.rounds.map(r => r.course.name).join(', ')}`);
+      if(day.warmups.length && !day.rounds.length) flag('warmup_without_round', `Warm-up at ${day.warmups.map(w => w.range.name).join(', ')} on ${ukDate(date)}, but no round is booked that day`);
+      if(sleeping.length > 1) flag('two_stays', `Two places to stay on the night of ${ukDate(date)}: ${sleeping.map(s => s.name).join(', ')}`);
+      if(datedStays.length){
+        for(const r of day.rounds){
+          if(!datedStays.some(s => s.startDate <= date && date <= s.endDate)) flag('outside_stay', `${r.course.name} on ${ukDate(date)} is outside your accommodation dates`);
+        }
+      }
+      return day;
+    });
+
+    // A hire car has to be collected before the first round it covers and kept until the last
+    const roundDates = rounds.map(r => r.date).filter(isIso).sort();
+    for(const t of transport.filter(x => x.kind === 'car_hire')){
+      if(isIso(t.startDate) && roundDates[0] && roundDates[0] < t.startDate){
+        const c = { date:roundDates[0], kind:'car_not_picked_up', message:`Hire car${t.vehicle ? ' (' + t.vehicle + ')' : ''} is picked up on ${ukDate(t.startDate)}, after your first round on ${ukDate(roundDates[0])}` };
+        clashes.push(c);
+        days.find(d => d.date === c.date)?.clashes.push(c);
+      }
+      const last = roundDates[roundDates.length - 1];
+      if(isIso(t.endDate) && last && t.endDate < last){
+        const c = { date:t.endDate, kind:'car_returned', message:`Hire car${t.vehicle ? ' (' + t.vehicle + ')' : ''} is returned on ${ukDate(t.endDate)}, before your last round on ${ukDate(last)}` };
+        clashes.push(c);
+        days.find(d => d.date === c.date)?.clashes.push(c);
+      }
+    }
+
+    return { days, undated, clashes };
+  };
+
+  // --- Drive times ---
+
+  const hasPoint = (p) => !!p && p.lat != null && p.lng != null && Number.isFinite(Number(p.lat)) && Number.isFinite(Number(p.lng));
+
+  const readCache = () => { try{ return JSON.parse(localStorage.getItem(DRIVE_CACHE_KEY) || '{}') || {}; } catch(e){ return {}; } };
+
+  const driveTime = async (from, to) => {
+    if(!hasPoint(from) || !hasPoint(to)) return null;
+    const [a, b] = [from, to].map(p => [Number(p.lng).toFixed(4), Number(p.lat).toFixed(4)].join(','));
+    const key = a + ';' + b;
+    const cache = readCache();
+    if(cache[key]) return cache[key];
+
+    const km = window.GDB_DATA.havKm(Number(from.lat), Number(from.lng), Number(to.lat), Number(to.lng)) * ROAD_FACTOR;
+    const estimate = { km:Math.round(km), mins:Math.round(km / ESTIMATE_KMH * 60), estimate:true };
+    try{
+      const res = await fetch(`${OSRM_URL}${key}?overview=false`);
+      const route = res.ok ? (await res.json()).routes?.[0] : null;
+      if(!route) return estimate;
+      const out = { km:Math.round(route.distance / 1000), mins:Math.round(route.duration / 60), estimate:false };
+      cache[key] = out;
+      try{ localStorage.setItem(DRIVE_CACHE_KEY, JSON.stringify(cache)); } catch(e){}
+      return out;
+    } catch(e){
+      return estimate;
+    }
+  };
+
+  // --- iCalendar ---
+
+  const icsText = (s) => String(s || '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+  const icsDate = (iso) => iso.replace(/-/g, '');
+  const icsDateTime = (iso, time) => icsDate(iso) + 'T' + time.replace(':', '') + '00';
+
+  // Lines longer than 75 octets continue on the next line after a space (RFC 5545 3.1)
+  const fold = (line) => {
+    const out = [];
+    let cur = '';
+    for(const ch of line){
+      if(new TextEncoder().encode(cur + ch).length > (out.length ? 74 : 75)){
+        out.push(cur);
+        cur = '';
+      }
+      cur += ch;
+    }
+    return [...out, cur].join('\r\n ');
+  };
+
+  const toIcs = (itinerary) => {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+    const events = [];
+    const event = (uid, fields) => events.push(['BEGIN:VEVENT', `UID:${uid}@golfdonebetter.com`, `DTSTAMP:${stamp}`, ...fields, 'END:VEVENT']);
+    // Rounds and warm-ups have no tee time, so they are all-day events. Transport times have no zone: they
+    // are local to wherever the trip is ("floating" in iCalendar) and last an hour.
+    const when = (date, time) => isTime(time)
+      ? [`DTSTART:${icsDateTime(date, time)}`, `DURATION:PT1H`]
+      : [`DTSTART;VALUE=DATE:${icsDate(date)}`, `DTEND;VALUE=DATE:${icsDate(addDays(date, 1))}`];
+
+    const seenStays = new Set();
+    for(const day of itinerary.days){
+      for(const r of day.rounds){
+        const c = r.course;
+        event(`round-${c.id}-${r.round}-${day.date}`, [
+          ...when(day.date, ''),
+          `SUMMARY:${icsText('Golf: ' + c.name + (c.rounds > 1 ? ` (round ${r.round})` : ''))}`,
+          c.place ? `LOCATION:${icsText(c.place)}` : '',
+          hasPoint(c) ? `GEO:${Number(c.lat).toFixed(5)};${Number(c.lng).toFixed(5)}` : '',
+          c.website ? `URL:${c.website}` : ''
+        ].filter(Boolean));
+      }
+      for(const w of day.warmups){
+        const r = w.range;
+        event(`warmup-${r.id}-${day.date}`, [
+          ...when(day.date, ''),
+          `SUMMARY:${icsText('Warm-up: ' + r.name + (w.course ? ` before ${w.course.name}` : ''))}`,
+          r.place ? `LOCATION:${icsText(r.place)}` : '',
+          hasPoint(r) ? `GEO:${Number(r.lat).toFixed(5)};${Number(r.lng).toFixed(5)}` : '',
+          r.website ? `URL:${r.website}` : ''
+        ].filter(Boolean));
+      }
+      for(const s of day.checkIns){
+        if(seenStays.has(s)) continue;
+        seenStays.add(s);
+        event(`stay-${s.id}-${s.startDate}`, [
+          `DTSTART;VALUE=DATE:${icsDate(s.startDate)}`,
+          `DTEND;VALUE=DATE:${icsDate(s.endDate)}`,
+          `SUMMARY:${icsText('Stay: ' + s.name)}`,
+          s.place ? `LOCATION:${icsText(s.place)}` : '',
+          hasPoint(s) ? `GEO:${Number(s.lat).toFixed(5)};${Number(s.lng).toFixed(5)}` : '',
+          'TRANSP:TRANSPARENT'
+        ].filter(Boolean));
+      }
+      day.transport.forEach((leg, i) => {
+        event(`transport-${leg.item.id}-${day.date}-${i}`, [
+          ...when(day.date, leg.time),
+          `SUMMARY:${icsText(leg.label)}`,
+          leg.item.summary ? `DESCRIPTION:${icsText(leg.item.summary)}` : ''
+        ].filter(Boolean));
+      });
+    }
+
+    return [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Golf Done Better//Trip planner//EN',
+      'CALSCALE:GREGORIAN',
+      'X-WR-CALNAME:Golf trip',
+      ...events.flat(),
+      'END:VCALENDAR'
+    ].map(fold).join('\r\n') + '\r\n';
+  };
+
+  window.GDB_ITINERARY = { build, driveTime, toIcs, ukDate };
+})();
@@ -0,0 +1,243 @@
+/* GDB overrides
+Manual editorial changes applied by build-gdb-uk.js after the heuristics have run.
+
+overrides.json:
+  {
+    "schema_version": "gdb_overrides_v1",
+    "overrides": [
+      { "op": "patch",  "id": "uk_x", "set": { "par": "72", "address": { "city": "Troon" } }, ...provenance },
+      { "op": "pin",    "id": "uk_x", "set": { "dress_code": ["strict_golf_attire"] }, ...provenance },
+      { "op": "delete", "id": "uk_y", ...provenance },
+      { "op": "merge",  "into": "uk_x", "from": ["uk_z"], ...provenance },
+      { "op": "add",    "record": { "id": "uk_new", "name": "...", "geo": { "lat": 0, "lng": 0 } }, ...provenance },
+      { "op": "restore", "id": "uk_w", ...provenance }
+    ]
+  }
+  provenance = "author", "date" (YYYY-MM-DD) and "reason", copied to source.overrides on the record
+  entries written by review-courses.html also carry "via": "review-courses"
+
+Ops:
+- patch   shallow merge of fields, address and links merge one level down (the original behaviour);
+          tag fields it sets count as checked, confidence 1 in the record's classification.
+          "green_fees": { "rates": [{ "amount": 45, "days": "weekday" }, ...], "source": "club website",
+          "last_verified": "2026-04-02" } replaces the green fee model (see gdb-green-fees.js);
+          rate fields left out mean the plain 18-hole rate, last_verified defaults to the
+          override's date, and the price band follows the rates unless price_band is set too
+- pin     as patch, and the field names go in source.pinned so later stages leave them alone;
+          the purity stage, which runs first, keeps a pinned record (see pinnedById)
+- delete  drop the record
+- merge   fold records into another: "from" records are dropped, their OSM refs go to
+          source.merged_osm, unknown fields on "into" are filled from them, and the
+          dropped IDs redirect through the alias file
+- add     a course missing from OSM; source.manual is set and missing fields get defaults
+- restore bring back a record the purity stage excluded (a reviewer confirmed it is a course)
+
+A delete of a record the purity stage already excluded is applied as a no-op, so reviewer
+rejections stay on file even if the purity rules change.
+
+The older form, { "<id>": { ...fields } }, is read as patch ops without provenance.
+
+Overrides whose IDs are not in the build are reported as stale rather than ignored. IDs
+retired by the ID registry are followed to the current record and reported as redirected.
+*/
+
+import { manualClassification } from "./gdb-classifier.js";
+import { COUNTRIES } from "./gdb-countries.js";
+import { feeBand, normalizeGreenFees } from "./gdb-green-fees.js";
+
+export const OVERRIDES_SCHEMA = "gdb_overrides_v1";
+
+const OPS = new Set(["patch", "pin", "delete", "merge", "add", "restore"]);
+
+const isUnknown = (v) =>
+  v == null || v === "" || v === "unknown" ||
+  (Array.isArray(v) && (v.length === 0 || (v.length === 1 && v[0] === "unknown")));
+
+export function normalizeOverrides(raw) {
+  if (!raw) return [];
+  if (Array.isArray(raw.overrides)) return raw.overrides.map((o, i) => ({ ...o, index: i }));
+  // Legacy: a map of id -> fields
+  return Object.entries(raw).map(([id, set], i) => ({ op: "patch", id, set, index: i, legacy: true }));
+}
+
+function provenance(o) {
+  const out = { op: o.op, author: o.author || "unknown", date: o.date || "unknown", reason: o.reason || "unknown" };
+  if (o.set) out.fields = Object.keys(o.set);
+  if (o.from) out.from = o.from;
+  return out;
+}
+
+const currencyOf = (rec) =>
+  rec.green_fees?.currency || Object.values(COUNTRIES).find((c) => String(rec.id).startsWith(c.idPrefix))?.currency.code;
+
+// Green fee rates an editor sets are completed, and decide the price band unless it is set too
+function withGreenFees(rec, set, date) {
+  if (!set.green_fees) return set;
+  const fees = normalizeGreenFees(set.green_fees, { currency: currencyOf(rec), date });
+  const band = set.price_band ? null : feeBand(fees);
+  return { ...set, green_fees: fees, ...(band ? { price_band: [band] } : {}) };
+}
+
+function patchRecord(rec, given, date = null) {
+  const set = withGreenFees(rec, given, date);
+  const out = { ...rec, ...set };
+  if (set.address) out.address = { ...rec.address, ...set.address };
+  if (set.links) out.links = { ...rec.links, ...set.links };
+  if (rec.classification && !set.classification) out.classification = manualClassification(rec.classification, set);
+  return out;
+}
+
+// Field names a pin covers, address and links are pinned per sub-field
+function pinnedFields(set) {
+  const out = [];
+  for (const [k, v] of Object.entries(set)) {
+    if ((k === "address" || k === "links") && v && typeof v === "object") {
+      for (const sub of Object.keys(v)) out.push(`${k}.${sub}`);
+    } else out.push(k);
+  }
+  return out;
+}
+
+function withSource(rec, o, extra = {}) {
+  const source = { ...(rec.source || {}), ...extra };
+  source.overrides = [...(source.overrides || []), provenance(o)];
+  return { ...rec, source };
+}
+
+function fillUnknown(into, from) {
+  const out = { ...into };
+  for (const [k, v] of Object.entries(from)) {
+    if (k === "id" || k === "source" || k === "classification") continue;
+    if ((k === "address" || k === "links") && v && typeof v === "object") {
+      const sub = { ...(into[k] || {}) };
+      for (const [sk, sv] of Object.entries(v)) if (isUnknown(sub[sk]) && !isUnknown(sv)) sub[sk] = sv;
+      out[k] = sub;
+    } else if (k === "facilities" && Array.isArray(v)) {
+      out[k] = [...new Set([...(into[k] || []), ...v])];
+    } else if (isUnknown(into[k]) && !isUnknown(v)) {
+      out[k] = v;
+      // A filled tag field keeps the confidence it had on the record it came from
+      if (from.classification?.[k]) out.classification = { ...(out.classification || {}), [k]: from.classification[k] };
+    }
+  }
+  return out;
+}
+
+/**
+ * Applies overrides to the built records, in file order.
+ * opts.resolveId  maps a retired ID to its current ID (ID registry aliases)
+ * opts.complete   fills defaults on a manually added record
+ * opts.excluded   records dropped by the purity stage, available to restore
+ * Returns { records, aliases, report } where aliases are merged-away ID -> surviving ID.
+ */
+export function applyOverrideSet(records, rawOverrides, opts = {}) {
+  const resolveId = opts.resolveId || ((id) => id);
+  const complete = opts.complete || ((r) => r);
+  const excluded = new Map((opts.excluded || []).map((r) => [r.id, r]));
+  const list = normalizeOverrides(rawOverrides);
+
+  const byId = new Map(records.map((r) => [r.id, r]));
+  const order = records.map((r) => r.id);
+  const aliases = {};
+  const report = { applied: [], stale: [], redirected: [], invalid: [], missing_provenance: [] };
+
+  const describe = (o) => ({ index: o.index, op: o.op, id: o.id || o.into || o.record?.id || null });
+
+  const lookup = (o, id) => {
+    if (byId.has(id)) return id;
+    const to = resolveId(id);
+    if (to !== id && byId.has(to)) {
+      report.redirected.push({ ...describe(o), from: id, to });
+      return to;
+    }
+    report.stale.push({ ...describe(o), missing: id, reason: o.reason || null });
+    return null;
+  };
+
+  for (const o of list) {
+    if (!OPS.has(o.op)) { report.invalid.push({ ...describe(o), problem: "unknown op " + o.op }); continue; }
+    if (!o.legacy && !(o.author && o.date && o.reason)) report.missing_provenance.push(describe(o));
+
+    if (o.op === "patch" || o.op === "pin") {
+      if (!o.set || typeof o.set !== "object") { report.invalid.push({ ...describe(o), problem: "set must be an object" }); continue; }
+      if (o.set.id && o.set.id !== o.id) { report.invalid.push({ ...describe(o), problem: "patch cannot change id, use merge" }); continue; }
+      const id = lookup(o, o.id);
+      if (!id) continue;
+      let rec;
+      try {
+        rec = patchRecord(byId.get(id), o.set, o.date);
+      } catch (e) {
+        report.invalid.push({ ...describe(o), problem: e.message });
+        continue;
+      }
+      const extra = o.op === "pin" ? { pinned: [...new Set([...(rec.source?.pinned || []), ...pinnedFields(o.set)])] } : {};
+      // Legacy patches predate provenance, keep their records as they always were
+      byId.set(id, o.legacy ? rec : withSource(rec, o, extra));
+    } else if (o.op === "delete") {
+      if (excluded.has(o.id) && !byId.has(o.id)) { report.applied.push(describe(o)); continue; }
+      const id = lookup(o, o.id);
+      if (!id) continue;
+      byId.delete(id);
+    } else if (o.op === "merge") {
+      const into = lookup(o, o.into);
+      const from = (Array.isArray(o.from) ? o.from : [o.from]).map((f) => lookup(o, f)).filter(Boolean);
+      if (!into || !from.length) continue;
+      let rec = byId.get(into);
+      const mergedOsm = [...(rec.source?.merged_osm || [])];
+      for (const f of from) {
+        if (f === into) continue;
+        const other = byId.get(f);
+        rec = fillUnknown(rec, other);
+        if (other.source?.osm) mergedOsm.push(other.source.osm);
+        byId.delete(f);
+        aliases[f] = into;
+      }
+      byId.set(into, withSource(rec, o, { merged_osm: mergedOsm }));
+    } else if (o.op === "add") {
+      const r = o.record;
+      if (!r || !r.name || !Number.isFinite(r.geo?.lat) || !Number.isFinite(r.geo?.lng)) {
+        report.invalid.push({ ...describe(o), problem: "add needs record.name and record.geo" });
+        continue;
+      }
+      let rec;
+      try {
+        rec = complete(r);
+      } catch (e) {
+        report.invalid.push({ ...describe(o), problem: e.message });
+        continue;
+      }
+      if (byId.has(rec.id)) { report.invalid.push({ ...describe(o), problem: "id already exists: " + rec.id }); continue; }
+      byId.set(rec.id, withSource(rec, o, { manual: true }));
+      order.push(rec.id);
+    } else if (o.op === "restore") {
+      const rec = excluded.get(o.id);
+      if (!rec) {
+        if (byId.has(o.id)) report.invalid.push({ ...describe(o), problem: "not excluded, nothing to restore" });
+        else report.stale.push({ ...describe(o), missing: o.id, reason: o.reason || null });
+        continue;
+      }
+      const restored = { ...rec, entity_type: "course", needs_manual_review: false, purity_reason: "restored_by_override" };
+      byId.set(o.id, withSource(restored, o));
+      order.push(o.id);
+    }
+    report.applied.push(describe(o));
+  }
+
+  const out = [...new Set(order)].filter((id) => byId.has(id)).map((id) => byId.get(id));
+  return { records: out, aliases, report };
+}
+
+/**
+ * Fields pinned per record ID by the pin ops in an overrides file, for the purity stage,
+ * which runs before overrides are applied. opts.resolveId as for applyOverrideSet.
+ */
+export function pinnedById(rawOverrides, opts = {}) {
+  const resolveId = opts.resolveId || ((id) => id);
+  const out = new Map();
+  for (const o of normalizeOverrides(rawOverrides)) {
+    if (o.op !== "pin" || !o.id || !o.set || typeof o.set !== "object") continue;
+    const id = resolveId(o.id);
+    out.set(id, [...new Set([...(out.get(id) || []), ...pinnedFields(o.set)])]);
+  }
+  return out;
+}
@@ -0,0 +1,54 @@
+/* GDB build pipeline runner
+Runs named stages in order. Each stage takes the previous stage's output and returns its
+own, and every output is written to the stage cache so a later run can start part way:
+
+  <cache-dir>/01_fetch.json, 02_dedupe.json, ...
+
+--from <stage> loads the cached output of the stage before it and runs from there,
+--to <stage> stops after that stage. Stage outputs must be plain JSON.
+*/
+
+import fs from "fs";
+import path from "path";
+
+export function stageCacheFile(cacheDir, stages, name) {
+  const i = stages.findIndex((s) => s.name === name);
+  return path.join(cacheDir, `${String(i + 1).padStart(2, "0")}_${name}.json`);
+}
+
+function stageIndex(stages, name, flag) {
+  const i = stages.findIndex((s) => s.name === name);
+  if (i < 0) throw new Error(`Unknown stage for ${flag}: ${name} (stages: ${stages.map((s) => s.name).join(", ")})`);
+  return i;
+}
+
+/**
+ * stages:  [{ name, run: async (input, ctx) => output }]
+ * options: { from, to, cacheDir, cache = true }
+ * Returns the output of the last stage run.
+ */
+export async function runPipeline(stages, ctx, { from, to, cacheDir, cache = true } = {}) {
+  const start = from ? stageIndex(stages, from, "--from") : 0;
+  const end = to ? stageIndex(stages, to, "--to") : stages.length - 1;
+  if (end < start) throw new Error(`--to ${to} comes before --from ${from}`);
+
+  let data = null;
+  if (start > 0) {
+    const prev = stages[start - 1].name;
+    const file = stageCacheFile(cacheDir, stages, prev);
+    if (!fs.existsSync(file)) throw new Error(`No cached output for stage ${prev} (${file}), run without --from first`);
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+    console.log(`Resuming from ${stages[start].name} with cached ${prev}`);
+  }
+
+  for (let i = start; i <= end; i++) {
+    const stage = stages[i];
+    console.log(`== ${stage.name}`);
+    data = await stage.run(data, ctx);
+    if (cache && data !== undefined) {
+      fs.mkdirSync(cacheDir, { recursive: true });
+      fs.writeFileSync(stageCacheFile(cacheDir, stages, stage.name), JSON.stringify(data), "utf8");
+    }
+  }
+  return data;
+}
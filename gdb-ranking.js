@@ -0,0 +1,123 @@
+/* GDB ranking (browser)
+The "Recommended" sort on search-courses.html. A course's score is the sum of named signals,
+each giving a value from -1 to 1 that a preset weights, so every point can be explained.
+
+  GDB_RANKING.PRESETS                      { balanced: { label, weights }, visitor_friendly, ... }
+  GDB_RANKING.explain(course, ctx, preset) { total, parts:[{ key, label, points }] }, biggest first
+  GDB_RANKING.rank(list, ctx, preset)      { list (sorted), scores: Map id -> explain() result }
+
+Courses are the page's normalised records (holes, layouts, access, price_band, difficulty,
+vibe, facilities, website, lat, lng). ctx.centre is the search centre [lat, lng] and
+ctx.radiusKm how far the search reaches; without a centre the distance signal gives 0.
+Distances come from GDB_DATA.havKm, so gdb-data.js loads first.
+
+To tune the ranking, change a preset's weights. A signal only counts in presets that list it.
+*/
+(() => {
+  const DEFAULT_PRESET = 'balanced';
+
+  const has = (arr, ...vals) => Array.isArray(arr) && vals.some(v => arr.includes(v));
+
+  // label explains a positive value, negLabel a negative one
+  const SIGNALS = {
+    full_course: {
+      label: '18 holes or more',
+      negLabel: 'Fewer than 9 holes',
+      value: (c) => c.holes >= 18 ? 1 : c.holes >= 9 ? 0.4 : c.holes > 0 ? -1 : 0
+    },
+    multi_course: {
+      label: 'Several courses at one venue',
+      value: (c) => c.isVenue ? 1 : 0
+    },
+    open_to_visitors: {
+      label: 'Open to visitors',
+      negLabel: 'Members only',
+      value: (c) => c.access === 'public' ? 1 : c.access === 'visitors' ? 0.8 : c.access === 'members_only' ? -1 : 0
+    },
+    low_price: {
+      label: 'Lower green fees',
+      negLabel: 'Higher green fees',
+      value: (c) => ({ value:1, mid:0.4, premium:-0.5, luxury:-1 })[c.price_band] || 0
+    },
+    premium: {
+      label: 'Premium experience',
+      value: (c) => has([c.price_band], 'premium', 'luxury') || has(c.vibe, 'premium') ? 1 : 0
+    },
+    championship: {
+      label: 'Championship test',
+      negLabel: 'Easy course',
+      value: (c) => has(c.difficulty, 'championship', 'pro') ? 1 : has(c.difficulty, 'hard') ? 0.6 : has(c.difficulty, 'easy') ? -0.5 : 0
+    },
+    beginner_friendly: {
+      label: 'Beginner friendly',
+      negLabel: 'Demanding for beginners',
+      value: (c) => has(c.difficulty, 'easy') || has(c.vibe, 'beginner_friendly') ? 1 : has(c.difficulty, 'championship', 'pro') ? -0.5 : 0
+    },
+    facilities: {
+      label: 'Facilities on site',
+      value: (c) => Math.min(1, (Array.isArray(c.facilities) ? c.facilities.length : 0) / 8)
+    },
+    practice: {
+      label: 'Range or practice area',
+      value: (c) => has(c.facilities, 'driving_range', 'practice_area') ? 1 : 0
+    },
+    website: {
+      label: 'Official website',
+      value: (c) => c.website && /^https?:\/\//i.test(c.website) ? 1 : 0
+    },
+    scorecard: {
+      label: 'Scorecard available',
+      value: (c) => (c.layouts || []).some(l => Array.isArray(l.scorecard) && l.scorecard.length >= 9) ? 1 : 0
+    },
+    distance: {
+      label: 'Close to the search centre',
+      // 1 at the centre, 0 at the edge of the search
+      value: (c, ctx) => {
+        if(!ctx || !Array.isArray(ctx.centre) || !(ctx.radiusKm > 0)) return 0;
+        const km = window.GDB_DATA.havKm(ctx.centre[0], ctx.centre[1], c.lat, c.lng);
+        return Math.max(0, 1 - km / ctx.radiusKm);
+      }
+    }
+  };
+
+  const PRESETS = {
+    balanced: {
+      label: 'Balanced',
+      weights: { full_course:40, open_to_visitors:12, facilities:18, website:12, multi_course:6, championship:4, scorecard:4, distance:20 }
+    },
+    visitor_friendly: {
+      label: 'Visitor friendly',
+      weights: { open_to_visitors:40, full_course:20, beginner_friendly:12, facilities:12, practice:8, low_price:10, website:10, distance:20 }
+    },
+    championship: {
+      label: 'Championship',
+      weights: { championship:40, full_course:30, premium:15, multi_course:10, scorecard:10, open_to_visitors:5, distance:10 }
+    },
+    budget: {
+      label: 'Budget',
+      weights: { low_price:40, open_to_visitors:15, full_course:15, beginner_friendly:8, practice:5, distance:20 }
+    }
+  };
+
+  const presetOf = (key) => PRESETS[key] || PRESETS[DEFAULT_PRESET];
+
+  const explain = (course, ctx, presetKey) => {
+    const parts = [];
+    for(const [key, weight] of Object.entries(presetOf(presetKey).weights)){
+      const signal = SIGNALS[key];
+      const value = signal ? signal.value(course, ctx) : 0;
+      const points = Math.round(weight * value * 10) / 10;
+      if(points) parts.push({ key, label:(value < 0 && signal.negLabel) || signal.label, points });
+    }
+    parts.sort((a, b) => Math.abs(b.points) - Math.abs(a.points));
+    return { total: Math.round(parts.reduce((n, p) => n + p.points, 0) * 10) / 10, parts };
+  };
+
+  const rank = (list, ctx, presetKey) => {
+    const scores = new Map(list.map(c => [c.id, explain(c, ctx, presetKey)]));
+    const sorted = [...list].sort((a, b) => (scores.get(b.id).total - scores.get(a.id).total) || String(a.name || '').localeCompare(String(b.name || '')));
+    return { list: sorted, scores };
+  };
+
+  window.GDB_RANKING = { SIGNALS, PRESETS, DEFAULT_PRESET, explain, rank };
+})();
@@ -0,0 +1,352 @@
+/* GDB saved lists (browser)
+Named lists of saved courses with a note per course, kept in localStorage under gdb_lists,
+and their export and import as JSON, GPX or KML files so a list can move between devices
+or be opened in a mapping app.
+
+  GDB_LISTS.all()                             every list, oldest first
+  GDB_LISTS.create(name) / rename(listId, name) / remove(listId)
+  GDB_LISTS.toggle(listId, course)            adds or removes a course, true when now in the list
+  GDB_LISTS.setNote(listId, courseId, note) / removeCourse(listId, courseId)
+  GDB_LISTS.savedIds()                        Set of course ids in any list
+  GDB_LISTS.listsWith(courseId)               the lists holding a course
+  GDB_LISTS.refresh()                         re-resolves every entry against the dataset, see below
+  GDB_LISTS.exportList(listId, format)        { fileName, mime, text } for 'json', 'gpx' or 'kml'
+  GDB_LISTS.importFile(text, fileName)        { list, report:{ matched, moved, byOsm, byPlace, missing:[names] } }
+  GDB_LISTS.onChange(fn)                      called after any change, including from another tab
+
+  list { id, name, created, updated, items:[{ id, name, lat, lng, osm:['way/123'], note, added, missing }] }
+
+Each entry keeps the course's name, position and OSM refs next to its id, so it stays on the
+page when the id changes. Resolving an entry tries, in order: its id, the id alias the builder
+wrote for a renamed or merged course, any of its OSM refs (from the tile summary), and for
+entries from other apps that carry no id, a course of the same name within NEAR_KM.
+Entries that still match nothing are kept and flagged missing; one without an id gets a
+placeholder (missing_...) that is never looked up, so it is matched by place again on every
+refresh and after an export and import.
+
+The old single set in gdb_saved becomes a list called "Saved" on first load.
+*/
+(() => {
+  const STORE_KEY = 'gdb_lists';
+  const LEGACY_KEY = 'gdb_saved';
+  const FORMAT = 'gdb_list_v1';
+  const NEAR_KM = 0.5;
+  const PLACEHOLDER = 'missing_';
+  const SITE = 'https://golfdonebetter.com/';
+  const GDB_NS = 'https://golfdonebetter.com/ns/gdb-list/1';
+
+  const now = () => new Date().toISOString();
+  const newId = () => 'l' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+
+  let state = null;
+  const listeners = [];
+
+  const emptyItem = (id) => ({ id, name:'', lat:null, lng:null, osm:[], note:'', added:now() });
+
+  const load = () => {
+    if(state) return state;
+    try{ state = JSON.parse(localStorage.getItem(STORE_KEY) || 'null'); } catch(e){ state = null; }
+    if(!state || !Array.isArray(state.lists)) state = { version:1, lists:[] };
+
+    let legacy = [];
+    try{ legacy = JSON.parse(localStorage.getItem(LEGACY_KEY) || '[]'); } catch(e){}
+    if(Array.isArray(legacy) && legacy.length){
+      state.lists.push({ id:newId(), name:'Saved', created:now(), updated:now(), items:legacy.filter(Boolean).map(id => emptyItem(String(id))) });
+      persist();
+      try{ localStorage.removeItem(LEGACY_KEY); } catch(e){}
+    }
+    return state;
+  };
+
+  const persist = () => {
+    try{ localStorage.setItem(STORE_KEY, JSON.stringify(state)); } catch(e){ console.warn('Saved lists not stored', e); }
+  };
+
+  const changed = (list) => {
+    if(list) list.updated = now();
+    persist();
+    listeners.forEach(fn => { try{ fn(); } catch(e){ console.error(e); } });
+  };
+
+  const onChange = (fn) => listeners.push(fn);
+
+  // Another tab saved: drop our copy and reload it
+  window.addEventListener('storage', (e) => {
+    if(e.key !== STORE_KEY) return;
+    state = null;
+    listeners.forEach(fn => { try{ fn(); } catch(err){ console.error(err); } });
+  });
+
+  const all = () => load().lists;
+  const get = (listId) => all().find(l => l.id === listId) || null;
+
+  const uniqueName = (name) => {
+    const base = String(name || '').trim() || 'My list';
+    const taken = new Set(all().map(l => l.name.toLowerCase()));
+    let out = base, n = 2;
+    while(taken.has(out.toLowerCase())) out = `${base} (${n++})`;
+    return out;
+  };
+
+  const create = (name, items = []) => {
+    const list = { id:newId(), name:uniqueName(name), created:now(), updated:now(), items };
+    all().push(list);
+    changed(list);
+    return list;
+  };
+
+  const rename = (listId, name) => {
+    const list = get(listId);
+    const next = String(name || '').trim();
+    if(!list || !next || next === list.name) return;
+    list.name = uniqueName(next);
+    changed(list);
+  };
+
+  const remove = (listId) => {
+    const lists = all();
+    const i = lists.findIndex(l => l.id === listId);
+    if(i === -1) return;
+    lists.splice(i, 1);
+    changed(null);
+  };
+
+  // Normalised search-page records carry source.osm; raw records also have holes[].osm
+  const osmOf = (c) => [...new Set([c.source?.osm, ...(c.source?.merged_osm || []), ...(Array.isArray(c.holes) ? c.holes.map(h => h && h.osm) : [])]
+    .filter(o => o && o.type && o.id != null).map(o => o.type + '/' + o.id))];
+
+  const itemOf = (c) => ({
+    ...emptyItem(String(c.id)),
+    name:c.name || '',
+    lat:Number.isFinite(c.lat) ? c.lat : c.geo?.lat ?? null,
+    lng:Number.isFinite(c.lng) ? c.lng : c.geo?.lng ?? null,
+    osm:osmOf(c)
+  });
+
+  const toggle = (listId, course) => {
+    const list = get(listId);
+    if(!list || !course || course.id == null) return false;
+    const i = list.items.findIndex(x => x.id === String(course.id));
+    if(i === -1) list.items.push(itemOf(course));
+    else list.items.splice(i, 1);
+    changed(list);
+    return i === -1;
+  };
+
+  const removeCourse = (listId, courseId) => {
+    const list = get(listId);
+    if(!list) return;
+    list.items = list.items.filter(x => x.id !== courseId);
+    changed(list);
+  };
+
+  const setNote = (listId, courseId, note) => {
+    const item = get(listId)?.items.find(x => x.id === courseId);
+    if(!item || item.note === note) return;
+    item.note = String(note || '');
+    changed(get(listId));
+  };
+
+  const savedIds = () => new Set(all().flatMap(l => l.items.filter(x => !x.missing).map(x => x.id)));
+  const listsWith = (courseId) => all().filter(l => l.items.some(x => x.id === courseId));
+
+  // --- Resolving entries against the dataset ---
+
+  const plainName = (s) => String(s || '').toLowerCase().replace(/&/g, ' and ').replace(/\b(golf|club|course|gc|the|and)\b/g, ' ').replace(/[^a-z0-9]+/g, '');
+
+  const nearby = (summary, item) => {
+    if(!Number.isFinite(item.lat) || !Number.isFinite(item.lng)) return null;
+    const want = plainName(item.name);
+    let best = null, bestKm = NEAR_KM;
+    for(const s of summary){
+      if(Math.abs(s.lat - item.lat) > 0.01) continue;
+      const km = window.GDB_DATA.havKm(item.lat, item.lng, s.lat, s.lng);
+      if(km <= bestKm && (!want || plainName(s.name) === want)){ best = s; bestKm = km; }
+    }
+    return best;
+  };
+
+  // Returns [{ item, how }] with how 'id' | 'alias' | 'osm' | 'place' | 'missing'
+  const resolveItems = async (items) => {
+    const data = window.GDB_DATA;
+    const [summary] = await Promise.all([data.loadSummary(), data.loadAliases()]);
+    const byId = new Map(summary.map(s => [s.id, s]));
+
+    return items.map(it => {
+      const id = it.id && !it.id.startsWith(PLACEHOLDER) ? it.id : '';
+      let s = id ? byId.get(id) : null, how = 'id';
+      if(!s && id){
+        const to = data.resolveId(id);
+        if(to !== id && byId.has(to)){ s = byId.get(to); how = 'alias'; }
+      }
+      if(!s){
+        const ref = (it.osm || []).find(r => data.findByOsm(r));
+        if(ref){ s = data.findByOsm(ref); how = 'osm'; }
+      }
+      if(!s && !id){
+        s = nearby(summary, it);
+        how = 'place';
+      }
+      if(!s) return { item:{ ...it, id:it.id || PLACEHOLDER + newId(), missing:true }, how:'missing' };
+      const { missing, ...rest } = it;
+      return { item:{ ...rest, id:s.id, name:s.name, lat:s.lat, lng:s.lng, osm:s.osm.length ? s.osm : (it.osm || []) }, how };
+    });
+  };
+
+  // Two entries can land on the same course (a merge); keep one and both notes
+  const dedupe = (items) => {
+    const out = new Map();
+    for(const it of items){
+      const prev = out.get(it.id);
+      if(!prev) out.set(it.id, it);
+      else if(it.note && it.note !== prev.note) prev.note = [prev.note, it.note].filter(Boolean).join('\n');
+    }
+    return [...out.values()];
+  };
+
+  const refresh = async () => {
+    let changedCount = 0;
+    for(const list of all()){
+      const resolved = await resolveItems(list.items);
+      const items = dedupe(resolved.map(r => r.item));
+      if(JSON.stringify(items) !== JSON.stringify(list.items)){
+        list.items = items;
+        changedCount++;
+      }
+    }
+    if(changedCount) changed(null);
+    return changedCount;
+  };
+
+  // --- Export ---
+
+  const xml = (s) => String(s ?? '').replace(/[&<>"']/g, (c) => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&apos;' }[c]));
+  const detailUrl = (id) => SITE + 'gdb_course_detail.html?id=' + encodeURIComponent(id);
+  const fileBase = (name) => String(name || 'list').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'list';
+  const placed = (items) => items.filter(x => Number.isFinite(x.lat) && Number.isFinite(x.lng));
+
+  const toJson = (list) => JSON.stringify({
+    format:FORMAT,
+    name:list.name,
+    exported_utc:now(),
+    courses:list.items.map(({ id, name, lat, lng, osm, note, added }) => ({ id, name, lat, lng, osm, note, added }))
+  }, null, 2);
+
+  // GPX waypoints; the course id and OSM refs go in an extension that other apps ignore
+  const toGpx = (list) => [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="Golf Done Better" xmlns="http://www.topografix.com/GPX/1/1" xmlns:gdb="${GDB_NS}">`,
+    `  <metadata><name>${xml(list.name)}</name></metadata>`,
+    ...placed(list.items).map(x => [
+      `  <wpt lat="${x.lat}" lon="${x.lng}">`,
+      `    <name>${xml(x.name)}</name>`,
+      x.note ? `    <desc>${xml(x.note)}</desc>` : '',
+      `    <link href="${xml(detailUrl(x.id))}"><text>Golf Done Better</text></link>`,
+      `    <sym>Golf Course</sym>`,
+      `    <extensions><gdb:course id="${xml(x.id)}" osm="${xml((x.osm || []).join(' '))}"/></extensions>`,
+      '  </wpt>'
+    ].filter(Boolean).join('\n')),
+    '</gpx>',
+    ''
+  ].join('\n');
+
+  const toKml = (list) => [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '<Document>',
+    `  <name>${xml(list.name)}</name>`,
+    ...placed(list.items).map(x => [
+      '  <Placemark>',
+      `    <name>${xml(x.name)}</name>`,
+      x.note ? `    <description>${xml(x.note)}</description>` : '',
+      '    <ExtendedData>',
+      `      <Data name="gdb_id"><value>${xml(x.id)}</value></Data>`,
+      `      <Data name="osm"><value>${xml((x.osm || []).join(' '))}</value></Data>`,
+      '    </ExtendedData>',
+      `    <Point><coordinates>${x.lng},${x.lat}</coordinates></Point>`,
+      '  </Placemark>'
+    ].filter(Boolean).join('\n')),
+    '</Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+
+  const FORMATS = {
+    json: { ext:'json', mime:'application/json', write:toJson },
+    gpx: { ext:'gpx', mime:'application/gpx+xml', write:toGpx },
+    kml: { ext:'kml', mime:'application/vnd.google-earth.kml+xml', write:toKml }
+  };
+
+  const exportList = (listId, format) => {
+    const list = get(listId);
+    const f = FORMATS[format];
+    if(!list || !f) return null;
+    return { fileName:`${fileBase(list.name)}.${f.ext}`, mime:f.mime, text:f.write(list) };
+  };
+
+  // --- Import ---
+
+  const num = (v) => v === '' || v == null ? NaN : Number(v);
+  const refsOf = (v) => (Array.isArray(v) ? v : String(v || '').split(/\s+/)).filter(r => /^(node|way|relation)\/\d+$/.test(r));
+
+  const parseJson = (text) => {
+    const json = JSON.parse(text);
+    // A bare array of ids is what gdb_saved held
+    if(Array.isArray(json)) return { name:'', items:json.filter(x => typeof x === 'string').map(emptyItem) };
+    if(!json || !Array.isArray(json.courses)) throw new Error('Not a saved list file');
+    return {
+      name:json.name || '',
+      items:json.courses.map(c => ({ ...emptyItem(c.id ? String(c.id) : ''), name:c.name || '', lat:num(c.lat), lng:num(c.lng), osm:refsOf(c.osm), note:c.note || '', added:c.added || now() }))
+    };
+  };
+
+  const parseXml = (text) => {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if(doc.getElementsByTagName('parsererror').length) throw new Error('Not a valid GPX or KML file');
+    const child = (el, tag) => el.getElementsByTagName(tag)[0];
+    const textOf = (el, tag) => (child(el, tag)?.textContent || '').trim();
+
+    if(doc.documentElement.localName === 'gpx'){
+      const meta = child(doc.documentElement, 'metadata');
+      return {
+        name:meta ? textOf(meta, 'name') : '',
+        items:[...doc.getElementsByTagName('wpt')].map(w => {
+          const ext = w.getElementsByTagNameNS(GDB_NS, 'course')[0];
+          return { ...emptyItem(ext?.getAttribute('id') || ''), name:textOf(w, 'name'), lat:num(w.getAttribute('lat')), lng:num(w.getAttribute('lon')), osm:refsOf(ext?.getAttribute('osm')), note:textOf(w, 'desc') };
+        })
+      };
+    }
+    if(doc.documentElement.localName === 'kml'){
+      const docEl = child(doc.documentElement, 'Document') || doc.documentElement;
+      const dataOf = (p, key) => ([...p.getElementsByTagName('Data')].find(d => d.getAttribute('name') === key)?.textContent || '').trim();
+      return {
+        name:[...docEl.children].find(el => el.localName === 'name')?.textContent.trim() || '',
+        items:[...doc.getElementsByTagName('Placemark')].map(p => {
+          const [lng, lat] = textOf(p, 'coordinates').split(',').map(Number);
+          return { ...emptyItem(dataOf(p, 'gdb_id')), name:textOf(p, 'name'), lat, lng, osm:refsOf(dataOf(p, 'osm')), note:textOf(p, 'description') };
+        })
+      };
+    }
+    throw new Error('Not a GPX or KML file');
+  };
+
+  const importFile = async (text, fileName = '') => {
+    const parsed = /^\s*[[{]/.test(text) ? parseJson(text) : parseXml(text);
+    const resolved = await resolveItems(parsed.items.filter(x => x.id || x.name || Number.isFinite(x.lat)));
+    const count = (how) => resolved.filter(r => r.how === how).length;
+    const report = {
+      matched:count('id'),
+      moved:count('alias'),
+      byOsm:count('osm'),
+      byPlace:count('place'),
+      missing:resolved.filter(r => r.how === 'missing').map(r => r.item.name || r.item.id)
+    };
+    const name = parsed.name || String(fileName).replace(/\.[a-z]+$/i, '') || 'Imported list';
+    return { list:create(name, dedupe(resolved.map(r => r.item))), report };
+  };
+
+  window.GDB_LISTS = {
+    all, get, create, rename, remove, toggle, removeCourse, setNote,
+    savedIds, listsWith, refresh, exportList, importFile, onChange
+  };
+})();
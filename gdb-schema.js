@@ -0,0 +1,196 @@
+/* GDB schema validation
+Validates gdb_courses_uk_v1 files against gdb_courses_uk_v1.schema.json, and the other
+countries' files against it with their own regions, postcodes and ids (countrySchema()).
+
+The builder has no package dependencies, so this is a small JSON Schema checker that
+covers the keywords the GDB schemas use:
+  $ref (local), type, const, enum, required, properties, additionalProperties, items,
+  minItems, maxItems, uniqueItems, minLength, pattern, minimum, maximum, anyOf, not, format (date-time)
+
+Errors are { path, field, keyword, message, record } where field is the path with array
+indexes folded ("courses[].address.postcode") so the report can group them per field.
+*/
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+export const COURSES_SCHEMA_FILE = path.join(HERE, "gdb_courses_uk_v1.schema.json");
+
+export function loadSchema(file = COURSES_SCHEMA_FILE) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * The UK schema with another country's rules (see gdb-countries.js): its schema_version,
+ * regions as the nation enum, postcode pattern, id prefix and bounds. The UK gets the file as it is.
+ */
+export function countrySchema(country, schema = loadSchema()) {
+  if (country.schemaVersion === schema.properties.schema_version.const) return schema;
+  const out = structuredClone(schema);
+  out.title = `GDB ${country.name} courses dataset (${country.schemaVersion})`;
+  out.properties.schema_version.const = country.schemaVersion;
+  out.$defs.nation.enum = country.regions.map((r) => r.key);
+  out.$defs.postcode.anyOf = [{ $ref: "#/$defs/unknown" }, { type: "string", pattern: country.postcode.pattern }];
+  for (const def of ["course", "driving_range"]) out.$defs[def].properties.id.pattern = `^${country.idPrefix}[a-z0-9_]+$`;
+  const [west, south, east, north] = country.bounds;
+  Object.assign(out.$defs.geo.properties.lat, { minimum: south, maximum: north });
+  Object.assign(out.$defs.geo.properties.lng, { minimum: west, maximum: east });
+  return out;
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (Number.isInteger(v)) return "integer";
+  return typeof v;
+}
+
+function typeMatches(v, t) {
+  const actual = typeOf(v);
+  if (t === "number") return actual === "number" || actual === "integer";
+  return actual === t;
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith("#/")) throw new Error("Only local $ref is supported: " + ref);
+  return ref.slice(2).split("/").reduce((node, key) => node?.[key], root);
+}
+
+const short = (v) => {
+  const s = JSON.stringify(v);
+  return s && s.length > 60 ? s.slice(0, 57) + "..." : s;
+};
+
+function check(root, schema, value, at, errors) {
+  if (schema === true || schema == null) return;
+  if (schema === false) { errors.push({ at, keyword: "false", message: "not allowed" }); return; }
+
+  if (schema.$ref) check(root, resolveRef(root, schema.$ref), value, at, errors);
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => typeMatches(value, t))) {
+      errors.push({ at, keyword: "type", message: `expected ${types.join(" or ")}, got ${typeOf(value)} ${short(value)}` });
+      return;
+    }
+  }
+
+  if ("const" in schema && !same(value, schema.const)) {
+    errors.push({ at, keyword: "const", message: `expected ${short(schema.const)}, got ${short(value)}` });
+  }
+  if (schema.enum && !schema.enum.some((e) => same(e, value))) {
+    errors.push({ at, keyword: "enum", message: `${short(value)} is not one of ${schema.enum.join(", ")}` });
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors.push({ at, keyword: "minLength", message: `shorter than ${schema.minLength}` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ at, keyword: "pattern", message: `${short(value)} does not match ${schema.pattern}` });
+    }
+    if (schema.format === "date-time" && Number.isNaN(Date.parse(value))) {
+      errors.push({ at, keyword: "format", message: `${short(value)} is not a date-time` });
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) errors.push({ at, keyword: "minimum", message: `${value} < ${schema.minimum}` });
+    if (schema.maximum != null && value > schema.maximum) errors.push({ at, keyword: "maximum", message: `${value} > ${schema.maximum}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push({ at, keyword: "minItems", message: `needs at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems != null && value.length > schema.maxItems) {
+      errors.push({ at, keyword: "maxItems", message: `allows at most ${schema.maxItems} item(s)` });
+    }
+    if (schema.uniqueItems && new Set(value.map((v) => JSON.stringify(v))).size !== value.length) {
+      errors.push({ at, keyword: "uniqueItems", message: `has repeated items ${short(value)}` });
+    }
+    if (schema.items) value.forEach((v, i) => check(root, schema.items, v, [...at, i], errors));
+  }
+
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    for (const k of schema.required || []) {
+      if (!(k in value)) errors.push({ at: [...at, k], keyword: "required", message: "missing" });
+    }
+    const props = schema.properties || {};
+    for (const [k, v] of Object.entries(value)) {
+      if (props[k]) check(root, props[k], v, [...at, k], errors);
+      else if (schema.additionalProperties === false) errors.push({ at: [...at, k], keyword: "additionalProperties", message: "not in the schema" });
+      else if (schema.additionalProperties && typeof schema.additionalProperties === "object") check(root, schema.additionalProperties, v, [...at, k], errors);
+    }
+  }
+
+  if (schema.anyOf) {
+    const tries = schema.anyOf.map((s) => { const e = []; check(root, s, value, at, e); return e; });
+    if (!tries.some((e) => !e.length)) {
+      // Report the closest branch so the message names the real problem; on a tie prefer a
+      // branch whose type matched over a sentinel const such as "unknown"
+      const cost = (e) => e.length * 2 + (e.some((x) => x.keyword === "const" || x.keyword === "type") ? 1 : 0);
+      tries.sort((a, b) => cost(a) - cost(b));
+      errors.push(...tries[0]);
+    }
+  }
+
+  if (schema.not) {
+    const e = [];
+    check(root, schema.not, value, at, e);
+    if (!e.length) errors.push({ at, keyword: "not", message: `${short(value)} is not allowed here` });
+  }
+}
+
+const pathText = (at) => at.reduce((s, k) => (typeof k === "number" ? `${s}[${k}]` : s ? `${s}.${k}` : k), "");
+const fieldText = (at) => at.reduce((s, k) => (typeof k === "number" ? `${s}[]` : s ? `${s}.${k}` : k), "");
+
+/**
+ * Validates a parsed dataset file. Record level errors carry the record id so the
+ * report can point editors at overrides.json entries.
+ */
+export function validateDataset(data, schema = loadSchema()) {
+  const raw = [];
+  check(schema, schema, data, [], raw);
+  return raw.map((e) => {
+    const [list, idx] = e.at;
+    const rec = typeof idx === "number" ? data?.[list]?.[idx] : null;
+    return {
+      path: pathText(e.at) || "(root)",
+      field: fieldText(e.at) || "(root)",
+      keyword: e.keyword,
+      message: e.message,
+      record: rec?.id || null,
+    };
+  });
+}
+
+/**
+ * Groups errors per field and keyword:
+ * { total, fields: { "courses[].par": { count, keywords: {pattern: n}, examples: [...] } } }
+ */
+export function fieldReport(errors, maxExamples = 5) {
+  const fields = {};
+  for (const e of errors) {
+    const f = fields[e.field] || (fields[e.field] = { count: 0, keywords: {}, examples: [] });
+    f.count++;
+    f.keywords[e.keyword] = (f.keywords[e.keyword] || 0) + 1;
+    if (f.examples.length < maxExamples) f.examples.push({ record: e.record, path: e.path, message: e.message });
+  }
+  const sorted = Object.fromEntries(Object.entries(fields).sort((a, b) => b[1].count - a[1].count || a[0].localeCompare(b[0])));
+  return { total: errors.length, fields: sorted };
+}
+
+export function printFieldReport(label, report, log = console.log) {
+  if (!report.total) { log(`${label}: valid`); return; }
+  log(`${label}: ${report.total} error(s)`);
+  for (const [field, f] of Object.entries(report.fields)) {
+    const kinds = Object.entries(f.keywords).map(([k, n]) => `${k} ${n}`).join(", ");
+    log(`  ${field}  ${f.count}  (${kinds})`);
+    for (const ex of f.examples) log(`    ${ex.record || ex.path}: ${ex.message}`);
+  }
+}
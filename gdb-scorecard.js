@@ -0,0 +1,113 @@
+/* GDB scorecards
+Hole-by-hole data from OSM golf=hole ways (ref = hole number, par, handicap = stroke index,
+dist = length). Holes are matched to a course by their midpoint falling inside the course
+outline, or inside one layout's outline at a multi-course venue, so courses mapped as a
+point get no scorecard.
+
+A scorecard row is { hole, par, stroke_index, length_m }, fields left out when OSM has no
+value. Length comes from "dist" when tagged, otherwise from the hole way itself, which runs
+tee to green. A scorecard is complete when holes 1..n are all there with a par, and only a
+complete one gives a total par and length.
+*/
+
+import { bboxOf, pointInGeometry } from "./gdb-geometry.js";
+
+const intIn = (v, lo, hi) => {
+  const m = String(v ?? "").match(/\d+/);
+  const n = m ? Number(m[0]) : NaN;
+  return n >= lo && n <= hi ? n : null;
+};
+
+function lineKm(pts) {
+  const R = 6371;
+  const toRad = (d) => (d * Math.PI) / 180;
+  let km = 0;
+  for (let i = 1; i < pts.length; i++) {
+    const [lng1, lat1] = pts[i - 1];
+    const [lng2, lat2] = pts[i];
+    const a = Math.sin(toRad(lat2 - lat1) / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(toRad(lng2 - lng1) / 2) ** 2;
+    km += 2 * R * Math.asin(Math.min(1, Math.sqrt(a)));
+  }
+  return km;
+}
+
+/**
+ * A golf=hole way from an "out geom" response as { hole, par, stroke_index, length_m, pt },
+ * or null when it is not one or has no usable hole number.
+ */
+export function holeFeature(el) {
+  const t = el?.tags || {};
+  if (el?.type !== "way" || t.golf !== "hole" || !Array.isArray(el.geometry)) return null;
+  const pts = el.geometry.filter((p) => p && Number.isFinite(p.lat) && Number.isFinite(p.lon)).map((p) => [p.lon, p.lat]);
+  const hole = intIn(t.ref, 1, 36);
+  if (!hole || pts.length < 2) return null;
+
+  const dist = Number(String(t.dist || "").match(/\d+(?:\.\d+)?/)?.[0]);
+  const lengthM = dist
+    ? Math.round(/y(ar)?ds?\b|yd/i.test(t.dist) ? dist * 0.9144 : dist)
+    : Math.round(lineKm(pts) * 1000);
+
+  return {
+    hole,
+    par: intIn(t.par, 3, 6),
+    stroke_index: intIn(t.handicap, 1, 36),
+    length_m: lengthM >= 30 ? lengthM : null,
+    pt: pts[Math.floor(pts.length / 2)],
+    osm: el.id,
+  };
+}
+
+/**
+ * Rows sorted by hole number, one per hole (the first mapped way wins), plus totals
+ * when the card is complete.
+ */
+export function buildScorecard(holes) {
+  const byHole = new Map();
+  for (const h of [...holes].sort((a, b) => a.hole - b.hole || a.osm - b.osm)) if (!byHole.has(h.hole)) byHole.set(h.hole, h);
+  const rows = [...byHole.values()].map((h) => ({
+    hole: h.hole,
+    ...(h.par ? { par: h.par } : {}),
+    ...(h.stroke_index ? { stroke_index: h.stroke_index } : {}),
+    ...(h.length_m ? { length_m: h.length_m } : {}),
+  }));
+  const complete = rows.length >= 9 && rows.every((r, i) => r.hole === i + 1 && r.par);
+  return {
+    rows,
+    complete,
+    par: complete ? rows.reduce((n, r) => n + r.par, 0) : null,
+    lengthM: complete && rows.every((r) => r.length_m) ? rows.reduce((n, r) => n + r.length_m, 0) : null,
+  };
+}
+
+const CELL = 0.1;
+const cellsOf = ([minX, minY, maxX, maxY]) => {
+  const out = [];
+  for (let x = Math.floor(minX / CELL); x <= Math.floor(maxX / CELL); x++) {
+    for (let y = Math.floor(minY / CELL); y <= Math.floor(maxY / CELL); y++) out.push(x + ":" + y);
+  }
+  return out;
+};
+
+/**
+ * Groups hole features by the outline they fall in. targets: [{ key, outline }].
+ * Returns Map key -> holes. A hole inside two outlines goes to the first target listed.
+ */
+export function assignHoles(targets, holes) {
+  const grid = new Map();
+  targets.forEach((t, i) => {
+    const box = t.outline && bboxOf(t.outline);
+    if (!box) return;
+    for (const c of cellsOf(box)) grid.set(c, [...(grid.get(c) || []), i]);
+  });
+
+  const out = new Map();
+  for (const h of holes) {
+    const [x, y] = h.pt;
+    const cands = grid.get(Math.floor(x / CELL) + ":" + Math.floor(y / CELL)) || [];
+    const i = cands.find((k) => pointInGeometry(h.pt, targets[k].outline));
+    if (i === undefined) continue;
+    const key = targets[i].key;
+    out.set(key, [...(out.get(key) || []), h]);
+  }
+  return out;
+}
@@ -0,0 +1,61 @@
+/* GDB search index
+Precomputed text index for the course search box, written by build-gdb-uk.js as
+gdb_search_index_<country>.json so the page does not tokenise the whole dataset on every load.
+
+  {
+    "schema_version": "gdb_search_index_v1",
+    "stopwords": ["the", "golf", ...],          words normStr() drops, the page drops them too
+    "fields": ["name", "city", "county", "postcode"],
+    "docs": [["uk_x", "Royal Birkdale Golf Club", "Southport", "Sefton", "PR8 2LX", 53.6, -3.0], ...],
+    "terms": { "birkdale": [posting, ...], ... }  posting = doc index * 4 + field index
+  }
+
+Terms are normStr() tokens. UK postcodes are indexed whole ("pr82lx") and as outward and
+inward codes ("pr8", "2lx"); other countries pass their own postcodeTerms (gdb-countries.js).
+Typo tolerance and prefix matching happen in the page
+(gdb-data.js), over the term list.
+*/
+
+export const SEARCH_INDEX_SCHEMA = "gdb_search_index_v1";
+export const SEARCH_FIELDS = ["name", "city", "county", "postcode"];
+
+const known = (v) => (v && v !== "unknown" ? String(v) : "");
+
+export function postcodeTerms(pc) {
+  const s = pc.toLowerCase().replace(/[^a-z0-9]/g, "");
+  if (s.length < 5) return s ? [s] : [];
+  return [s, s.slice(0, -3), s.slice(-3)];
+}
+
+/**
+ * normStr is the builder's name normaliser; names made only of stopwords ("The Golf Club")
+ * fall back to their plain lowercase words so they can still be found.
+ */
+export function buildSearchIndex(courses, { normStr, stopwords, generatedUtc, postcodeTerms: termsOf = postcodeTerms }) {
+  const plain = (s) => s.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().replace(/&/g, " and ").replace(/[^a-z0-9 ]+/g, " ").split(/\s+/).filter(Boolean);
+  const words = (s) => {
+    const norm = normStr(s).split(" ").filter(Boolean);
+    return norm.length ? norm : plain(s);
+  };
+
+  const docs = [];
+  const terms = new Map();
+  const add = (term, posting) => {
+    const list = terms.get(term) || [];
+    if (list[list.length - 1] !== posting) list.push(posting);
+    terms.set(term, list);
+  };
+
+  const round5 = (n) => Math.round(n * 1e5) / 1e5;
+  courses.forEach((c, i) => {
+    const doc = [c.id, c.name, known(c.address?.city), known(c.address?.county), known(c.address?.postcode), round5(c.geo.lat), round5(c.geo.lng)];
+    docs.push(doc);
+    for (let f = 1; f <= 3; f++) {
+      for (const w of new Set(words(doc[f]))) add(w, i * 4 + (f - 1));
+    }
+    for (const t of termsOf(doc[4])) add(t, i * 4 + 3);
+  });
+
+  const sorted = Object.fromEntries([...terms.keys()].sort().map((k) => [k, terms.get(k)]));
+  return { schema_version: SEARCH_INDEX_SCHEMA, generated_utc: generatedUtc, stopwords, fields: SEARCH_FIELDS, docs, terms: sorted };
+}
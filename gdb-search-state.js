@@ -0,0 +1,165 @@
+/* GDB search state (browser)
+Turns the course search (mode, place or drawn area, filters, sort, page) into URL query
+parameters and back, so a search can be shared as a link and walked with back/forward.
+
+  GDB_SEARCH_STATE.encode(state)    '?mode=map&area=c:53.95834,-1.08027,48.28&access=visitors'
+  GDB_SEARCH_STATE.decode(search)   state from location.search, unknown or broken values dropped
+
+  state {
+    mode: 'map' | 'text' | null,
+    q: 'York', radius: 30,                       text mode: the place typed and a chosen radius
+    area: { type:'circle', lat, lng, km }        map mode: the drawn area
+        | { type:'polygon', ring:[[lng, lat], ...] },
+    filters: { holes:['18'], access:['visitors'], ... },
+    kinds: ['course', 'range'],                  result types shown, courses and/or driving ranges
+    sort: 'az', page: 1, perPage: 10,
+    rank: 'balanced'                             Recommended sort preset, see gdb-ranking.js
+  }
+
+Circles are "c:lat,lng,km". Polygons and rectangles are "p:" plus the ring as an encoded
+polyline (5 decimals, ~1 m), which keeps a hand-drawn area to a few dozen characters.
+Defaults (courses only, sort az, balanced ranking, page 1, 10 per page) are left out of the URL.
+*/
+(() => {
+  const MODES = ['map', 'text'];
+  const FILTER_KEYS = ['holes', 'access', 'price_band', 'difficulty', 'dress_code', 'vibe', 'facilities', 'extras', 'course_type', 'bays', 'range'];
+  const KINDS = ['course', 'range'];
+  const DEFAULT_KINDS = ['course'];
+  const DEFAULT_SORT = 'az';
+  const DEFAULT_RANK = 'balanced';
+  const DEFAULT_PER_PAGE = 10;
+
+  const round = (n, dp) => Math.round(n * 10 ** dp) / 10 ** dp;
+
+  // --- Encoded polyline (the Google format), points as [lng, lat] ---
+
+  const encodeNumber = (n) => {
+    let v = n < 0 ? ~(n << 1) : n << 1;
+    let out = '';
+    while(v >= 0x20){
+      out += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+      v >>= 5;
+    }
+    return out + String.fromCharCode(v + 63);
+  };
+
+  const encodePolyline = (points) => {
+    let lastLat = 0, lastLng = 0, out = '';
+    for(const [lng, lat] of points){
+      const la = Math.round(lat * 1e5), ln = Math.round(lng * 1e5);
+      out += encodeNumber(la - lastLat) + encodeNumber(ln - lastLng);
+      lastLat = la;
+      lastLng = ln;
+    }
+    return out;
+  };
+
+  const decodePolyline = (str) => {
+    const points = [];
+    let i = 0, lat = 0, lng = 0;
+    const next = () => {
+      let shift = 0, result = 0, b;
+      do{
+        if(i >= str.length) throw new Error('Truncated polyline');
+        b = str.charCodeAt(i++) - 63;
+        result |= (b & 0x1f) << shift;
+        shift += 5;
+      } while(b >= 0x20);
+      return result & 1 ? ~(result >> 1) : result >> 1;
+    };
+    while(i < str.length){
+      lat += next();
+      lng += next();
+      points.push([lng / 1e5, lat / 1e5]);
+    }
+    return points;
+  };
+
+  // --- Areas ---
+
+  const validLatLng = (lat, lng) => Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+  const encodeArea = (area) => {
+    if(area && area.type === 'circle') return `c:${round(area.lat, 5)},${round(area.lng, 5)},${round(area.km, 2)}`;
+    if(area && area.type === 'polygon' && area.ring.length >= 3){
+      // The ring's closing point repeats the first, decodeArea adds it back
+      const ring = area.ring.slice();
+      const [a, b] = [ring[0], ring[ring.length - 1]];
+      if(ring.length > 3 && a[0] === b[0] && a[1] === b[1]) ring.pop();
+      return 'p:' + encodePolyline(ring);
+    }
+    return '';
+  };
+
+  const decodeArea = (raw) => {
+    const s = String(raw || '');
+    if(s.startsWith('c:')){
+      const [lat, lng, km] = s.slice(2).split(',').map(Number);
+      return validLatLng(lat, lng) && km > 0 && km <= 2000 ? { type:'circle', lat, lng, km } : null;
+    }
+    if(s.startsWith('p:')){
+      try{
+        const ring = decodePolyline(s.slice(2));
+        if(ring.length < 3 || !ring.every(([lng, lat]) => validLatLng(lat, lng))) return null;
+        return { type:'polygon', ring:[...ring, ring[0]] };
+      } catch(e){
+        return null;
+      }
+    }
+    return null;
+  };
+
+  // --- Whole state ---
+
+  const encode = (state) => {
+    const p = new URLSearchParams();
+    if(MODES.includes(state.mode)) p.set('mode', state.mode);
+    if(state.mode === 'text' && state.q) p.set('q', state.q);
+    if(state.mode === 'text' && Number.isFinite(state.radius)) p.set('radius', String(state.radius));
+    if(state.mode === 'map'){
+      const area = encodeArea(state.area);
+      if(area) p.set('area', area);
+    }
+    for(const key of FILTER_KEYS){
+      const vals = [...(state.filters?.[key] || [])].sort();
+      if(vals.length) p.set(key, vals.join(','));
+    }
+    const kinds = KINDS.filter(k => (state.kinds || DEFAULT_KINDS).includes(k));
+    if(kinds.length && kinds.join(',') !== DEFAULT_KINDS.join(',')) p.set('show', kinds.join(','));
+    if(state.sort && state.sort !== DEFAULT_SORT) p.set('sort', state.sort);
+    if(state.sort === 'recommended' && state.rank && state.rank !== DEFAULT_RANK) p.set('rank', state.rank);
+    if(state.page > 1) p.set('page', String(state.page));
+    if(state.perPage && state.perPage !== DEFAULT_PER_PAGE) p.set('per', String(state.perPage));
+    // ':' and ',' are fine in a query string and keep shared links readable
+    const qs = [...p].map(([k, v]) => k + '=' + encodeURIComponent(v).replace(/%3A/g, ':').replace(/%2C/g, ',')).join('&');
+    return qs ? '?' + qs : '';
+  };
+
+  const decode = (search) => {
+    const p = new URLSearchParams(search || '');
+    const mode = MODES.includes(p.get('mode')) ? p.get('mode') : null;
+    const radius = p.has('radius') ? Number(p.get('radius')) : NaN;
+    const page = Math.floor(Number(p.get('page')));
+    const perPage = Math.floor(Number(p.get('per')));
+    const filters = {};
+    for(const key of FILTER_KEYS){
+      const vals = String(p.get(key) || '').split(',').map(v => v.trim()).filter(v => /^[a-z0-9_]+$/i.test(v));
+      if(vals.length) filters[key] = vals;
+    }
+    const kinds = KINDS.filter(k => String(p.get('show') || '').split(',').includes(k));
+    return {
+      mode,
+      q: mode === 'text' ? String(p.get('q') || '').trim() : '',
+      radius: mode === 'text' && radius >= 0 ? radius : null,
+      area: mode === 'map' ? decodeArea(p.get('area')) : null,
+      filters,
+      kinds: kinds.length ? kinds : DEFAULT_KINDS.slice(),
+      sort: String(p.get('sort') || DEFAULT_SORT),
+      rank: /^[a-z_]+$/.test(p.get('rank') || '') ? p.get('rank') : DEFAULT_RANK,
+      page: page >= 1 ? page : 1,
+      perPage: perPage >= 1 ? perPage : null
+    };
+  };
+
+  window.GDB_SEARCH_STATE = { encode, decode, encodeArea, decodeArea, FILTER_KEYS, KINDS };
+})();
@@ -0,0 +1,283 @@
+/* GDB data sources
+Source adapters used by build-gdb-uk.js so a build can run against live services,
+a local stand-in server, or files on disk.
+
+Overpass:
+  - http: POST the query to each endpoint in turn (public mirrors by default)
+  - file: read a saved Overpass JSON response (the query is ignored)
+
+Reverse geocode (queued and rate limited by gdb-geocode.js):
+  - http: GET <base>/reverse on the public server or a local Nominatim, answers are cached
+  - cache only: answer from nominatim_cache.json, misses return null without a request
+  - postcode centroids: nearest postcode from an offline CSV, no network at all
+
+A build from a saved OSM snapshot with --nominatim-cache-only makes no network calls,
+so the same snapshot and cache always produce the same dist/ output.
+*/
+
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+
+export const DEFAULT_OVERPASS_ENDPOINTS = [
+  "https://overpass-api.de/api/interpreter",
+  "https://overpass.kumi.systems/api/interpreter",
+  "https://overpass.openstreetmap.ru/api/interpreter",
+];
+
+export const DEFAULT_NOMINATIM_URL = "https://nominatim.openstreetmap.org";
+
+const USER_AGENT = "GolfDoneBetterDataBuilder/1.0 (static-site project)";
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2), "utf8");
+}
+
+export function httpOverpassSource(endpoints = DEFAULT_OVERPASS_ENDPOINTS) {
+  return {
+    kind: "http",
+    live: true,
+    describe: () => "Overpass " + endpoints.join(", "),
+    async query(query) {
+      let lastErr = null;
+      for (const ep of endpoints) {
+        try {
+          const res = await fetch(ep, {
+            method: "POST",
+            headers: { "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8" },
+            body: "data=" + encodeURIComponent(query),
+          });
+          if (res.status === 429) { lastErr = new Error("Rate limited"); continue; }
+          if (!res.ok) { lastErr = new Error("Overpass " + res.status); continue; }
+          return await res.json();
+        } catch (e) {
+          lastErr = e;
+        }
+      }
+      throw lastErr || new Error("Overpass failed");
+    },
+  };
+}
+
+export function fileOverpassSource(file) {
+  const abs = path.resolve(file);
+  return {
+    kind: "file",
+    live: false,
+    describe: () => "Overpass snapshot " + abs,
+    async query() {
+      if (!fs.existsSync(abs)) throw new Error("Overpass snapshot missing: " + abs);
+      return readJson(abs);
+    },
+  };
+}
+
+// Cache keys are the coordinates rounded to about a metre
+export const pointKey = (lat, lng) => `${lat.toFixed(5)},${lng.toFixed(5)}`;
+
+// Equirectangular distance, close enough at the few kilometres these sources compare
+function kmBetween(aLat, aLng, bLat, bLng) {
+  const rad = Math.PI / 180;
+  const x = (bLng - aLng) * rad * Math.cos(((aLat + bLat) / 2) * rad);
+  const y = (bLat - aLat) * rad;
+  return Math.sqrt(x * x + y * y) * 6371;
+}
+
+const CACHE_SCHEMA = "gdb_geocode_cache_v2";
+
+// v1 files map keys straight to answers; their fetch time is taken to be the file's
+function readCache(file) {
+  if (!file || !fs.existsSync(file)) return {};
+  const raw = readJson(file);
+  if (raw?.schema_version === CACHE_SCHEMA) return raw.entries || {};
+  const fetched = fs.statSync(file).mtime.toISOString();
+  return Object.fromEntries(Object.entries(raw || {}).map(([k, answer]) => [k, { fetched_utc: fetched, answer }]));
+}
+
+/**
+ * Nominatim reverse geocoder with a coordinate keyed JSON cache. The queue in gdb-geocode.js
+ * decides when to call fetch(); this only talks to the server and keeps the cache.
+ * Options:
+ *   cacheFile   path of nominatim_cache.json
+ *   baseUrl     Nominatim root (public server or a local one)
+ *   cacheOnly   never call the network, answer from the cache whatever its age
+ *   maxAgeDays  cached answers older than this are fetched again (kept if the fetch fails)
+ *
+ * Each answer is appended to <cacheFile>.checkpoint as it arrives, so an interrupted run
+ * loses nothing: the next run reads the checkpoint back in. flush() writes the cache and
+ * removes the checkpoint. A cache only run leaves the file alone unless invalidate() dropped
+ * entries from it.
+ */
+export function nominatimSource({ cacheFile, baseUrl = DEFAULT_NOMINATIM_URL, cacheOnly = false, maxAgeDays = null, now = () => Date.now() } = {}) {
+  const cache = readCache(cacheFile);
+  const checkpoint = cacheFile ? cacheFile + ".checkpoint" : null;
+  let dirty = false;
+  let invalidated = false;
+  let recovered = 0;
+
+  if (checkpoint && fs.existsSync(checkpoint)) {
+    for (const line of fs.readFileSync(checkpoint, "utf8").split("\n")) {
+      let entry = null;
+      try {
+        entry = line.trim() ? JSON.parse(line) : null;
+      } catch (e) {
+        entry = null; // a line cut short by the crash
+      }
+      if (!entry?.key) continue;
+      cache[entry.key] = { fetched_utc: entry.fetched_utc, answer: entry.answer };
+      recovered++;
+    }
+    dirty = recovered > 0;
+  }
+
+  const fresh = (entry) => maxAgeDays == null || now() - Date.parse(entry.fetched_utc) <= maxAgeDays * 86400000;
+
+  const flush = () => {
+    if (!cacheFile || !dirty || (cacheOnly && !invalidated)) return;
+    const entries = Object.fromEntries(Object.keys(cache).sort().map((k) => [k, cache[k]]));
+    writeJson(cacheFile, { schema_version: CACHE_SCHEMA, entries });
+    if (fs.existsSync(checkpoint)) fs.unlinkSync(checkpoint);
+    dirty = false;
+    invalidated = false;
+  };
+
+  return {
+    kind: cacheOnly ? "cache" : "http",
+    live: !cacheOnly,
+    recovered,
+    describe: () => cacheOnly ? "Nominatim cache " + cacheFile + " (cache only)" : "Nominatim " + baseUrl,
+    // { answer, fresh } from the cache, or null when these coordinates were never answered
+    lookup(lat, lng) {
+      const entry = cache[pointKey(lat, lng)];
+      return entry ? { answer: entry.answer, fresh: cacheOnly || fresh(entry) } : null;
+    },
+    // One request. Throws with .status and .retryable (429, 5xx, network), and .retryAfterMs when the server says
+    async fetch(lat, lng) {
+      const url = baseUrl.replace(/\/+$/, "") + "/reverse?format=jsonv2&zoom=18&addressdetails=1&lat=" +
+        encodeURIComponent(lat) + "&lon=" + encodeURIComponent(lng);
+      let res;
+      try {
+        res = await fetch(url, { headers: { "User-Agent": USER_AGENT } });
+      } catch (e) {
+        throw Object.assign(new Error("Nominatim unreachable: " + e.message), { status: 0, retryable: true });
+      }
+      if (!res.ok) {
+        const retryAfter = Number(res.headers.get("retry-after"));
+        throw Object.assign(new Error("Nominatim " + res.status), {
+          status: res.status,
+          retryable: res.status === 429 || res.status >= 500,
+          retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : null,
+        });
+      }
+      const answer = await res.json();
+      const key = pointKey(lat, lng);
+      cache[key] = { fetched_utc: new Date(now()).toISOString(), answer };
+      dirty = true;
+      if (checkpoint) {
+        fs.mkdirSync(path.dirname(checkpoint), { recursive: true });
+        fs.appendFileSync(checkpoint, JSON.stringify({ key, ...cache[key] }) + "\n", "utf8");
+      }
+      return answer;
+    },
+    // Drops cached answers within radiusKm of a point (the point's own entry at 0); returns how many
+    invalidate(lat, lng, radiusKm = 0) {
+      let dropped = 0;
+      for (const key of Object.keys(cache)) {
+        const [kLat, kLng] = key.split(",").map(Number);
+        if (key === pointKey(lat, lng) || kmBetween(lat, lng, kLat, kLng) <= radiusKm) {
+          delete cache[key];
+          dropped++;
+        }
+      }
+      if (dropped) dirty = invalidated = true;
+      return dropped;
+    },
+    flush,
+  };
+}
+
+/**
+ * Offline reverse geocoder from a postcode centroid CSV (ONS Postcode Directory, Code-Point
+ * Open, a country's own list, ...), for builds that cannot or need not call Nominatim.
+ * The nearest centroid within maxKm gives the postcode, plus the town, county and region
+ * when the file has them. Answers look like Nominatim's, so buildAddress() takes either.
+ *
+ * Columns are found by header: postcode (or pcd, pcds), lat (latitude), lng (lon, long,
+ * longitude), and optionally town (city, post_town, locality), county (district,
+ * admin_district) and state (region). Rows without coordinates are skipped. Fields are
+ * split on commas, so quoted values must not contain one.
+ */
+export async function postcodeCentroidSource(file, { maxKm = 2 } = {}) {
+  const abs = path.resolve(file);
+  if (!fs.existsSync(abs)) throw new Error("Postcode centroid file missing: " + abs);
+
+  const CELL = 0.05;
+  const cells = new Map();
+  const cellKey = (lat, lng) => `${Math.floor(lat / CELL)}_${Math.floor(lng / CELL)}`;
+  const at = (row, i) => (i >= 0 && row[i]) || undefined;
+  const split = (line) => line.split(",").map((v) => v.trim().replace(/^"|"$/g, ""));
+
+  let cols = null;
+  let count = 0;
+  for await (const line of readline.createInterface({ input: fs.createReadStream(abs, "utf8"), crlfDelay: Infinity })) {
+    if (!line.trim()) continue;
+    const row = split(line);
+    if (!cols) {
+      const header = row.map((h) => h.toLowerCase());
+      const col = (...names) => header.findIndex((h) => names.includes(h));
+      cols = {
+        postcode: col("postcode", "pcd", "pcds"),
+        lat: col("lat", "latitude"),
+        lng: col("lng", "lon", "long", "longitude"),
+        town: col("town", "city", "post_town", "locality"),
+        county: col("county", "district", "admin_district"),
+        state: col("state", "region"),
+      };
+      if (cols.postcode < 0 || cols.lat < 0 || cols.lng < 0) throw new Error("Postcode centroid file needs postcode, lat and lng columns: " + abs);
+      continue;
+    }
+    const lat = Number(row[cols.lat]);
+    const lng = Number(row[cols.lng]);
+    if (!row[cols.postcode] || !Number.isFinite(lat) || !Number.isFinite(lng) || (!lat && !lng)) continue;
+    const k = cellKey(lat, lng);
+    if (!cells.has(k)) cells.set(k, []);
+    // Only the columns used, so a wide national file fits in memory
+    cells.get(k).push([row[cols.postcode], at(row, cols.town), at(row, cols.county), at(row, cols.state), lat, lng]);
+    count++;
+  }
+
+  return {
+    kind: "file",
+    live: false,
+    describe: () => `postcode centroids ${abs} (${count} postcodes, nearest within ${maxKm} km)`,
+    lookup(lat, lng) {
+      let best = null;
+      let bestKm = maxKm;
+      const reachY = Math.ceil(maxKm / (CELL * 111));
+      const reachX = Math.ceil(maxKm / (CELL * 111 * Math.max(Math.cos((lat * Math.PI) / 180), 0.1)));
+      const [cy, cx] = [Math.floor(lat / CELL), Math.floor(lng / CELL)];
+      for (let y = cy - reachY; y <= cy + reachY; y++) {
+        for (let x = cx - reachX; x <= cx + reachX; x++) {
+          for (const row of cells.get(`${y}_${x}`) || []) {
+            const km = kmBetween(lat, lng, row[4], row[5]);
+            if (km <= bestKm) { best = row; bestKm = km; }
+          }
+        }
+      }
+      if (!best) return { answer: null, fresh: true };
+      const [postcode, town, county, state] = best;
+      const address = { postcode, town, county, state };
+      return { answer: { address, source: "postcode_centroid", distance_km: Math.round(bestKm * 100) / 100 }, fresh: true };
+    },
+    flush() {},
+  };
+}
+
+export function saveOverpassSnapshot(file, data) {
+  writeJson(path.resolve(file), data);
+}
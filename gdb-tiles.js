@@ -0,0 +1,80 @@
+/* GDB tiles
+Splits the course dataset into spatial tiles so the pages load only the area they show,
+instead of the whole of gdb_courses_uk.json. Written by build-gdb-uk.js, one set per
+country (uk below, see gdb-countries.js):
+
+  gdb_tiles_uk.json                         manifest, the only file fetched without caching
+  tiles/gdb_summary_uk.<hash>.json          every course as [id, name, lat, lng, tile, osm]
+  tiles/gdb_tile_uk_<x>_<y>.<hash>.json     full records and outlines for one grid cell
+
+  manifest {
+    "schema_version": "gdb_tiles_v1",
+    "version": "<hash>",                    changes whenever any tile or the summary does
+    "country": "uk",
+    "tile_deg": 0.5,
+    "summary": "tiles/gdb_summary_uk.<hash>.json",
+    "tiles": { "-3_106": { "file": "tiles/...", "count": 12, "bbox": [w, s, e, n] }, ... }
+  }
+
+The summary's osm is every OSM element a course was built from ("way/123": the course
+itself, layouts of a venue, records merged into it), so saved lists can find a course
+again after its id changes.
+
+Tile keys are floor(lng / tile_deg) and floor(lat / tile_deg) of the course point. The hash
+is of the file content, so a tile that did not change keeps its name across builds and
+browsers can cache it for good. Tiles carry no build timestamp for the same reason.
+*/
+
+import crypto from "node:crypto";
+import { osmKey } from "./gdb-id-registry.js";
+
+export const TILES_SCHEMA = "gdb_tiles_v1";
+export const TILE_DEG = 0.5;
+
+const hashOf = (s) => crypto.createHash("sha1").update(s).digest("hex").slice(0, 10);
+const round5 = (n) => Math.round(n * 1e5) / 1e5;
+
+export const osmRefs = (c) =>
+  [...new Set([c.source?.osm, ...(c.source?.merged_osm || []), ...(c.holes || []).map((h) => h?.osm)].map(osmKey).filter(Boolean))];
+
+export const tileKey = (lat, lng, deg = TILE_DEG) => `${Math.floor(lng / deg)}_${Math.floor(lat / deg)}`;
+
+/**
+ * courses: final course records. outlines: Map id -> GeoJSON geometry.
+ * Returns { manifest, files } where files is Map relative path -> JSON text.
+ */
+export function buildTiles(courses, outlines, { tileDeg = TILE_DEG, generatedUtc, country = "uk" } = {}) {
+  const cells = new Map();
+  for (const c of courses) {
+    const key = tileKey(c.geo.lat, c.geo.lng, tileDeg);
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(c);
+  }
+
+  const files = new Map();
+  const tiles = {};
+  for (const key of [...cells.keys()].sort()) {
+    const list = cells.get(key);
+    const [x, y] = key.split("_").map(Number);
+    const bbox = [round5(x * tileDeg), round5(y * tileDeg), round5((x + 1) * tileDeg), round5((y + 1) * tileDeg)];
+    const tileOutlines = Object.fromEntries(list.filter((c) => outlines.has(c.id)).map((c) => [c.id, outlines.get(c.id)]));
+    const body = JSON.stringify({ schema_version: TILES_SCHEMA, tile: key, bbox, courses: list, outlines: tileOutlines });
+    const file = `tiles/gdb_tile_${country}_${key}.${hashOf(body)}.json`;
+    files.set(file, body);
+    tiles[key] = { file, count: list.length, bbox };
+  }
+
+  const summaryBody = JSON.stringify({
+    schema_version: TILES_SCHEMA,
+    fields: ["id", "name", "lat", "lng", "tile", "osm"],
+    courses: courses.map((c) => [c.id, c.name, round5(c.geo.lat), round5(c.geo.lng), tileKey(c.geo.lat, c.geo.lng, tileDeg), osmRefs(c)]),
+  });
+  const summary = `tiles/gdb_summary_${country}.${hashOf(summaryBody)}.json`;
+  files.set(summary, summaryBody);
+
+  const version = hashOf([...files.keys()].join("\n"));
+  return {
+    manifest: { schema_version: TILES_SCHEMA, generated_utc: generatedUtc, version, country, tile_deg: tileDeg, summary, tiles },
+    files,
+  };
+}
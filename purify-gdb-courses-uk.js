@@ -5,6 +5,12 @@
  * Output: ../data/gdb_courses_uk.pure.json
  * Reports: ../enrichment/reports/*.json
  *
+ * Run:
+ *   node purify-gdb-courses-uk.js
+ *   node purify-gdb-courses-uk.js --in dist/gdb_courses_uk.json --out dist/gdb_courses_uk.pure.json --report-dir reports
+ *
+ * build-gdb-uk.js runs the same rules as its purity stage through the exports below.
+ *
  * Notes:
  * - No external calls
  * - Deterministic rules
@@ -19,9 +25,6 @@ const IN_FILE = path.join(ROOT, "data", "gdb_courses_uk.json");
 const OUT_FILE = path.join(ROOT, "data", "gdb_courses_uk.pure.json");
 
 const REPORT_DIR = path.join(ROOT, "enrichment", "reports");
-const REPORT_PURITY = path.join(REPORT_DIR, "purity_report.json");
-const REPORT_EXCLUDED = path.join(REPORT_DIR, "purity_excluded.json");
-const REPORT_MANUAL = path.join(REPORT_DIR, "purity_manual_review.json");
 
 function ensureDir(p) {
   if (!fs.existsSync(p)) fs.mkdirSync(p, { recursive: true });
@@ -153,16 +156,15 @@ function classify(rec) {
   return { entity_type: "not_course", needs_manual_review: false, reason: "no_golf_signal" };
 }
 
-function main() {
-  if (!fs.existsSync(IN_FILE)) {
-    console.error("Input file missing:", IN_FILE);
-    process.exit(1);
-  }
-
-  ensureDir(REPORT_DIR);
-
-  const raw = JSON.parse(fs.readFileSync(IN_FILE, "utf8"));
-
+/**
+ * Runs the purity rules over a parsed gdb_courses_uk.json.
+ * Returns { out, report, excluded, manual } where out is the purified file body.
+ * purifiedUtc lets the build pipeline stamp a deterministic time; postcodeLooksValid lets
+ * it check another country's postcodes (see gdb-countries.js). pinned maps record IDs to the
+ * fields overrides.json pins on them: an editor has vouched for those records, so they are
+ * kept whatever the rules say.
+ */
+function purify(raw, { purifiedUtc = new Date().toISOString(), postcodeLooksValid = ukPostcodeLooksValid, pinned: pinnedById = new Map() } = {}) {
   const courses = Array.isArray(raw?.courses) ? raw.courses : [];
   const kept = [];
   const excluded = [];
@@ -173,11 +175,14 @@ function main() {
   const inc = (k) => (breakdown[k] = (breakdown[k] || 0) + 1);
 
   for (const rec of courses) {
-    const result = classify(rec);
+    const pinned = [...(Array.isArray(rec?.source?.pinned) ? rec.source.pinned : []), ...(pinnedById.get(rec?.id) || [])];
+    const result = pinned.length
+      ? { entity_type: "course", needs_manual_review: false, reason: "pinned_by_override" }
+      : classify(rec);
 
-    // Apply light sanitation (extras cleanup)
+    // Apply light sanitation (extras cleanup), fields pinned in overrides.json are left alone
     const outRec = { ...rec };
-    outRec.extras = cleanExtras(outRec.extras);
+    if (!pinned.includes("extras")) outRec.extras = cleanExtras(outRec.extras);
 
     // Add purity fields for auditability
     outRec.entity_type = result.entity_type;
@@ -204,7 +209,7 @@ function main() {
   for (const c of kept) {
     const pc = c?.address?.postcode || "";
     const city = c?.address?.city || "";
-    if (pc !== "unknown" && pc && !ukPostcodeLooksValid(pc)) badPostcode++;
+    if (pc !== "unknown" && pc && !postcodeLooksValid(pc)) badPostcode++;
     if (!city || city === "unknown") missingCity++;
   }
 
@@ -228,11 +233,11 @@ function main() {
   };
 
   // Build output meta
-  const outMeta = {
+  const out = {
     ...raw,
     schema_version: raw?.schema_version || "gdb_courses_uk_v1",
     purity_version: "gdb_purity_v1",
-    purified_utc: new Date().toISOString(),
+    purified_utc: purifiedUtc,
     counts: {
       ...(raw?.counts || {}),
       courses_total_original: courses.length,
@@ -245,19 +250,55 @@ function main() {
     courses: kept,
   };
 
-  fs.writeFileSync(OUT_FILE, JSON.stringify(outMeta, null, 2), "utf8");
-  fs.writeFileSync(REPORT_PURITY, JSON.stringify(report, null, 2), "utf8");
-  fs.writeFileSync(REPORT_EXCLUDED, JSON.stringify(excluded, null, 2), "utf8");
-  fs.writeFileSync(REPORT_MANUAL, JSON.stringify(manual, null, 2), "utf8");
+  return { out, report, excluded, manual };
+}
+
+function writeReports(reportDir, { report, excluded, manual }) {
+  ensureDir(reportDir);
+  const files = {
+    purity: path.join(reportDir, "purity_report.json"),
+    excluded: path.join(reportDir, "purity_excluded.json"),
+    manual: path.join(reportDir, "purity_manual_review.json"),
+  };
+  fs.writeFileSync(files.purity, JSON.stringify(report, null, 2), "utf8");
+  fs.writeFileSync(files.excluded, JSON.stringify(excluded, null, 2), "utf8");
+  fs.writeFileSync(files.manual, JSON.stringify(manual, null, 2), "utf8");
+  return files;
+}
+
+function argValue(argv, name, fallback) {
+  const i = argv.indexOf(name);
+  return i >= 0 && argv[i + 1] ? path.resolve(argv[i + 1]) : fallback;
+}
+
+function main(argv = process.argv.slice(2)) {
+  const inFile = argValue(argv, "--in", IN_FILE);
+  const outFile = argValue(argv, "--out", OUT_FILE);
+  const reportDir = argValue(argv, "--report-dir", REPORT_DIR);
 
+  if (!fs.existsSync(inFile)) {
+    console.error("Input file missing:", inFile);
+    process.exit(1);
+  }
+
+  const raw = JSON.parse(fs.readFileSync(inFile, "utf8"));
+  const result = purify(raw);
+
+  ensureDir(path.dirname(outFile));
+  fs.writeFileSync(outFile, JSON.stringify(result.out, null, 2), "utf8");
+  const files = writeReports(reportDir, result);
+
+  const { summary } = result.report;
   console.log("Purity pass complete");
-  console.log("Input records:", courses.length);
-  console.log("Kept courses:", kept.length);
-  console.log("Excluded:", excluded.length);
-  console.log("Closed:", closed.length);
-  console.log("Manual review:", manual.length);
-  console.log("Wrote:", OUT_FILE);
-  console.log("Report:", REPORT_PURITY);
+  console.log("Input records:", summary.total_records);
+  console.log("Kept courses:", summary.courses_kept);
+  console.log("Excluded:", summary.excluded_total);
+  console.log("Closed:", summary.closed_courses);
+  console.log("Manual review:", summary.manual_review);
+  console.log("Wrote:", outFile);
+  console.log("Report:", files.purity);
 }
 
-main();
+module.exports = { classify, cleanExtras, ukPostcodeLooksValid, purify, writeReports };
+
+if (require.main === module) main();
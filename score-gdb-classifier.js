@@ -0,0 +1,152 @@
+/* GDB classifier scoring
+Runs the tag rules (gdb_classifier_rules.json) over a hand-labelled sample and reports how
+often they are right, so a rule change can be judged before it reaches a build.
+
+Run:
+  node score-gdb-classifier.js                                  (gdb_classifier_sample.json)
+  node score-gdb-classifier.js my_sample.json --rules my_rules.json
+  node score-gdb-classifier.js --report reports/classifier.json --min-precision 0.8
+
+Options:
+  --rules <path>           rules to score (default ./gdb_classifier_rules.json)
+  --report <path>          write the full report as JSON
+  --min-precision <0..1>   fail when verified tags are right less often than this
+
+Sample file: { "schema_version": "gdb_classifier_sample_v1", "items": [{ name, country, tags,
+holes, main: { count, par, lengthM }, labels: { field: [tag] } }] }. Only labelled fields are
+scored, and "unknown" is not a claim, so it never counts against precision.
+
+Reported per field: exact matches, and precision and recall over tags. Precision is also
+split into verified and unverified tags, which shows whether the unverified_below threshold
+separates good guesses from bad. Per rule: how often its tags were right next to the
+confidence it claims, so confidences can be tuned from evidence; a rule with five or more
+tags whose hit rate is far from its confidence is flagged. Each wrong item is listed.
+
+Exit code is 1 when --min-precision is given and verified precision falls below it.
+*/
+
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { CLASSIFIED_FIELDS, classifyField, loadRules } from "./gdb-classifier.js";
+import { countryConfig } from "./gdb-countries.js";
+
+const SAMPLE_SCHEMA = "gdb_classifier_sample_v1";
+
+const ratio = (n, d) => (d ? Math.round((n / d) * 1000) / 1000 : null);
+const pct = (r) => (r == null ? "  -  " : `${(r * 100).toFixed(0).padStart(3)}%`);
+
+function scoreSample(sample, rules) {
+  const fields = {};
+  const byRule = {};
+  const misses = [];
+  for (const field of CLASSIFIED_FIELDS) {
+    fields[field] = { items: 0, exact: 0, claimed: 0, right: 0, labelled: 0, found: 0, verified: [0, 0], unverified: [0, 0] };
+  }
+
+  for (const item of sample.items || []) {
+    const input = { ...item, country: countryConfig(item.country || "uk") };
+    for (const [field, want] of Object.entries(item.labels || {})) {
+      const f = fields[field];
+      if (!f) continue;
+      const { tags, sources } = classifyField(rules, field, input);
+      const truth = new Set(want);
+      const claims = tags.filter((t) => t !== "unknown");
+
+      f.items++;
+      if (tags.length === want.length && tags.every((t) => truth.has(t))) f.exact++;
+      else misses.push({ name: item.name, field, expected: want, got: tags, rules: [...new Set(tags.map((t) => sources[t].rule))] });
+
+      for (const t of claims) {
+        const ok = truth.has(t);
+        const s = sources[t];
+        f.claimed++;
+        if (ok) f.right++;
+        const bucket = s.unverified ? f.unverified : f.verified;
+        bucket[0]++;
+        if (ok) bucket[1]++;
+        const r = (byRule[s.rule] ||= { field, confidence: s.confidence, tags: 0, right: 0 });
+        r.tags++;
+        if (ok) r.right++;
+      }
+      const real = want.filter((t) => t !== "unknown");
+      f.labelled += real.length;
+      f.found += real.filter((t) => claims.includes(t)).length;
+    }
+  }
+
+  const report = { fields: {}, rules: {}, misses };
+  let verified = [0, 0];
+  for (const [field, f] of Object.entries(fields)) {
+    if (!f.items) continue;
+    verified = [verified[0] + f.verified[0], verified[1] + f.verified[1]];
+    report.fields[field] = {
+      items: f.items,
+      exact: ratio(f.exact, f.items),
+      precision: ratio(f.right, f.claimed),
+      recall: ratio(f.found, f.labelled),
+      verified_precision: ratio(f.verified[1], f.verified[0]),
+      unverified_precision: ratio(f.unverified[1], f.unverified[0]),
+    };
+  }
+  for (const [id, r] of Object.entries(byRule).sort()) {
+    report.rules[id] = { ...r, precision: ratio(r.right, r.tags) };
+  }
+  report.verified_precision = ratio(verified[1], verified[0]);
+  return report;
+}
+
+function printReport(report, log = console.log) {
+  log("field          items  exact  precision  recall  verified  unverified");
+  for (const [field, f] of Object.entries(report.fields)) {
+    log(`${field.padEnd(14)} ${String(f.items).padStart(5)}  ${pct(f.exact)}  ${pct(f.precision)}      ${pct(f.recall)}   ${pct(f.verified_precision)}     ${pct(f.unverified_precision)}`);
+  }
+  log("");
+  log("rule                        tags  right  confidence");
+  for (const [id, r] of Object.entries(report.rules)) {
+    // Too few tags say nothing about a rule, so only well used rules are flagged
+    const flag = r.tags >= 5 && Math.abs(r.precision - r.confidence) > 0.25 ? "  <- confidence off" : "";
+    log(`${id.padEnd(26)} ${String(r.tags).padStart(5)}  ${pct(r.precision)}  ${pct(r.confidence)}${flag}`);
+  }
+  if (report.misses.length) {
+    log("");
+    log(`${report.misses.length} wrong:`);
+    for (const m of report.misses) log(`  ${m.name} ${m.field}: expected ${m.expected.join(", ")}, got ${m.got.join(", ")} (${m.rules.join(", ")})`);
+  }
+  log("");
+  log(`Verified tag precision: ${pct(report.verified_precision).trim()}`);
+}
+
+function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      rules: { type: "string" },
+      report: { type: "string" },
+      "min-precision": { type: "string" },
+    },
+  });
+
+  const sampleFile = path.resolve(positionals[0] || "./gdb_classifier_sample.json");
+  const sample = JSON.parse(fs.readFileSync(sampleFile, "utf8"));
+  if (sample.schema_version !== SAMPLE_SCHEMA) throw new Error(`${sampleFile}: expected schema_version ${SAMPLE_SCHEMA}`);
+  const rules = loadRules(values.rules ? path.resolve(values.rules) : undefined);
+
+  console.log(`Scoring ${rules.file} against ${sampleFile} (${(sample.items || []).length} courses)\n`);
+  const report = scoreSample(sample, rules);
+  printReport(report);
+
+  if (values.report) {
+    fs.mkdirSync(path.dirname(path.resolve(values.report)), { recursive: true });
+    fs.writeFileSync(values.report, JSON.stringify(report, null, 2), "utf8");
+    console.log("Report:", path.resolve(values.report));
+  }
+
+  const min = values["min-precision"] != null ? Number(values["min-precision"]) : null;
+  if (min != null && (report.verified_precision ?? 1) < min) {
+    console.error(`Verified tag precision ${report.verified_precision} is below ${min}`);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,81 @@
+/* GDB dataset validator
+Checks gdb_courses_<code>_v1 files against gdb_courses_uk_v1.schema.json, with each
+country's rules applied (see countrySchema() in gdb-schema.js), and prints a per-field error report.
+A file's country comes from its schema_version, or else its name.
+
+Run:
+  node validate-gdb-courses.js                       (every country's dataset files in ./dist and ./data)
+  node validate-gdb-courses.js dist/gdb_courses_uk.json data/gdb_courses_uk.pure.json
+  node validate-gdb-courses.js --report reports/validation.json
+
+Options:
+  --report <path>        write the full report as JSON
+  --max-examples <n>     examples listed per field (default 5)
+
+Exit code is 1 when any file has errors, so it can gate a publish step.
+*/
+
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { COUNTRIES, DEFAULT_COUNTRY } from "./gdb-countries.js";
+import { countrySchema, fieldReport, loadSchema, printFieldReport, validateDataset } from "./gdb-schema.js";
+
+// Same-format files written by the builder and the purity pass; the changelog and alias files are not datasets
+const DATASET_FILE = /^gdb_(courses|driving_ranges)_([a-z]{2})(\.[a-z_]+)?\.json$/;
+
+function defaultFiles() {
+  const out = [];
+  for (const dir of ["./dist", "./data"]) {
+    if (!fs.existsSync(dir)) continue;
+    for (const f of fs.readdirSync(dir).sort()) {
+      if (DATASET_FILE.test(f) && !/^gdb_courses_[a-z]{2}_index\.json$/.test(f)) out.push(path.join(dir, f));
+    }
+  }
+  return out;
+}
+
+function countryOf(file, data) {
+  const bySchema = Object.values(COUNTRIES).find((c) => c.schemaVersion === data?.schema_version);
+  return bySchema || COUNTRIES[path.basename(file).match(DATASET_FILE)?.[2]] || COUNTRIES[DEFAULT_COUNTRY];
+}
+
+function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      report: { type: "string" },
+      "max-examples": { type: "string", default: "5" },
+    },
+  });
+
+  const files = positionals.length ? positionals : defaultFiles();
+  if (!files.length) {
+    console.error("No dataset files found in ./dist or ./data");
+    process.exit(1);
+  }
+
+  const schema = loadSchema();
+  const maxExamples = Number(values["max-examples"]) || 5;
+  const results = {};
+  let failed = 0;
+
+  for (const file of files) {
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    const report = fieldReport(validateDataset(data, countrySchema(countryOf(file, data), schema)), maxExamples);
+    results[file] = report;
+    if (report.total) failed++;
+    printFieldReport(file, report);
+  }
+
+  if (values.report) {
+    fs.mkdirSync(path.dirname(path.resolve(values.report)), { recursive: true });
+    fs.writeFileSync(values.report, JSON.stringify(results, null, 2), "utf8");
+    console.log("Report:", path.resolve(values.report));
+  }
+
+  console.log(`${files.length - failed}/${files.length} file(s) valid`);
+  if (failed) process.exit(1);
+}
+
+main();